@@ -1,18 +1,26 @@
-import React, { useEffect, useContext, useCallback } from "react";
+import React, { useEffect, useContext, useCallback, useState } from "react";
 
 import Header from "./Components/Headers";
+import Login from "./Components/Login";
 import Products from "./Components/ProductTypes/Products";
 import Items from "./Components/ProductTypes/Items";
 import Context from "./Context";
+import { apiFetch, fetchSession, logOut } from "./requests";
 
 import styles from "./App.module.scss";
 import { Button } from "plaid-threads";
 
 const App = () => {
   const { linkSuccess, isItemAccess, isPaymentInitiation, dispatch } = useContext(Context);
+  // "checking" until we know whether there is a session, then "loggedOut"
+  // or "ready". `username` is null when the server doesn't require a login.
+  const [authState, setAuthState] = useState<
+    "checking" | "loggedOut" | "ready"
+  >("checking");
+  const [username, setUsername] = useState<string | null>(null);
 
   const getInfo = useCallback(async () => {
-    const response = await fetch("/api/info", { method: "POST" });
+    const response = await apiFetch("/api/info", { method: "POST" });
     if (!response.ok) {
       dispatch({ type: "SET_STATE", state: { backend: false } });
       return { paymentInitiation: false };
@@ -37,7 +45,7 @@ const App = () => {
       const path = isPaymentInitiation
         ? "/api/create_link_token_for_payment"
         : "/api/create_link_token";
-      const response = await fetch(path, {
+      const response = await apiFetch(path, {
         method: "POST",
       });
       if (!response.ok) {
@@ -65,6 +73,25 @@ const App = () => {
   );
 
   useEffect(() => {
+    const checkSession = async () => {
+      const session = await fetchSession();
+      if (session == null) {
+        setAuthState("loggedOut");
+        return;
+      }
+      setUsername(session.username || null);
+      setAuthState("ready");
+    };
+    checkSession().catch(() => {
+      dispatch({ type: "SET_STATE", state: { backend: false } });
+      setAuthState("ready");
+    });
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (authState !== "ready") {
+      return;
+    }
     const init = async () => {
       const { paymentInitiation } = await getInfo(); // used to determine which path to take when generating token
       // do not generate a new token for OAuth redirect; instead
@@ -81,11 +108,11 @@ const App = () => {
       generateToken(paymentInitiation);
     };
     init();
-  }, [dispatch, generateToken, getInfo]);
+  }, [authState, dispatch, generateToken, getInfo]);
 
   const getCoinflowToken = useCallback(
     async (public_token: string) => {
-      const response = await fetch("/api/set_access_token", {
+      const response = await apiFetch("/api/set_access_token", {
         method: "POST",
         headers: {
           "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8",
@@ -94,9 +121,42 @@ const App = () => {
       });
     }, [])
 
+  const onLogOut = async () => {
+    await logOut();
+    // Start over, so nothing of the previous user's is left on the page.
+    window.location.reload();
+  };
+
+  if (authState === "checking") {
+    return null;
+  }
+
+  if (authState === "loggedOut") {
+    return (
+      <div className={styles.App}>
+        <div className={styles.container}>
+          <Login
+            onLogIn={(name) => {
+              setUsername(name);
+              setAuthState("ready");
+            }}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.App}>
       <div className={styles.container}>
+        {username != null && (
+          <div className={styles.session}>
+            Logged in as {username}
+            <Button type="button" small secondary inline onClick={onLogOut}>
+              Log out
+            </Button>
+          </div>
+        )}
         <Header />
         {linkSuccess && (
           <>
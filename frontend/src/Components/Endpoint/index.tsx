@@ -5,6 +5,7 @@ import Note from "plaid-threads/Note";
 import Table from "../Table";
 import Error from "../Error";
 import { DataItem, Categories, ErrorDataItem, Data } from "../../dataUtilities";
+import { apiFetch } from "../../requests";
 
 import styles from "./index.module.scss";
 
@@ -15,6 +16,9 @@ interface Props {
   schema: string;
   description: string;
   transformData: (arg: any) => Array<DataItem>;
+  // Fetches the data for transformData, for endpoints that take more than a
+  // GET of /api/{endpoint}. See ../../requests.ts.
+  fetchData?: () => Promise<any>;
 }
 
 const Endpoint = (props: Props) => {
@@ -26,16 +30,23 @@ const Endpoint = (props: Props) => {
 
   const getData = async () => {
     setIsLoading(true);
-    const response = await fetch(`/api/${props.endpoint}`, { method: "GET" });
-    const data = await response.json();
+    const fetchData =
+      props.fetchData ||
+      (async () => {
+        const response = await apiFetch(`/api/${props.endpoint}`, {
+          method: "GET",
+        });
+        return response.json();
+      });
+    const data = await fetchData();
     if (data.error != null) {
       setError(data.error);
       setIsLoading(false);
       return;
     }
     setTransformedData(props.transformData(data)); // transform data into proper format for each individual product
-    if (data.pdf != null) {
-      setPdf(data.pdf);
+    if (data.pdf_url != null) {
+      setPdf(data.pdf_url);
     }
     setShowTable(true);
     setIsLoading(false);
@@ -73,7 +84,7 @@ const Endpoint = (props: Props) => {
               centered
               wide
               className={styles.pdf}
-              href={`data:application/pdf;base64,${pdf}`}
+              href={pdf}
               componentProps={{ download: (props.name=="Assets")? "Asset Report.pdf" : "Statement.pdf"}}
             >
               Download PDF
@@ -3,6 +3,7 @@ import { usePlaidLink } from "react-plaid-link"
 import Button from "plaid-threads/Button"
 
 import Context from "../../Context"
+import { apiFetch } from "../../requests"
 // ELMNTS - use this
 const Link = () => {
   const { linkToken, isPaymentInitiation, dispatch } = useContext(Context)
@@ -11,7 +12,7 @@ const Link = () => {
     (public_token: string) => {
       // If the access_token is needed, send public_token to server
       const exchangePublicTokenForAccessToken = async () => {
-        const response = await fetch(
+        const response = await apiFetch(
           "/api/convert_plaid_public_token_to_coinflow_token",
           {
             method: "POST",
@@ -21,8 +22,12 @@ const Link = () => {
             body: `public_token=${public_token}`,
           }
         )
-        console.log(response)
-        if (!response.ok) {
+        const data = await response.json()
+        // The Item is linked even when registering it with Coinflow fails
+        // (e.g. no verified wallet yet); the error then carries its item_id.
+        const itemId =
+          data.item_id || (data.error != null ? data.error.item_id : null)
+        if (itemId == null) {
           dispatch({
             type: "SET_STATE",
             state: {
@@ -33,11 +38,10 @@ const Link = () => {
           })
           return
         }
-        const data = await response.json()
         dispatch({
           type: "SET_STATE",
           state: {
-            itemId: data.item_id,
+            itemId,
             accessToken: data.access_token,
             isItemAccess: true,
           },
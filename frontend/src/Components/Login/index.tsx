@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import Button from "plaid-threads/Button";
+import Callout from "plaid-threads/Callout";
+import TextInput from "plaid-threads/TextInput";
+import PasswordInput from "plaid-threads/PasswordInput";
+
+import { logIn } from "../../requests";
+
+import styles from "./index.module.scss";
+
+interface Props {
+  onLogIn: (username: string) => void;
+}
+
+// Asks for the username and password of an account added with
+// `npm run add-user` on the server.
+const Login = (props: Props) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const onSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    const data = await logIn(username, password);
+    setIsSubmitting(false);
+    if (data.error != null) {
+      setError(data.error.error_message);
+      return;
+    }
+    setPassword("");
+    props.onLogIn(data.username);
+  };
+
+  return (
+    <form className={styles.form} onSubmit={onSubmit}>
+      <h3 className={styles.title}>Log in to the Plaid Quickstart</h3>
+      {error != null && (
+        <Callout warning className={styles.error}>
+          {error}
+        </Callout>
+      )}
+      <TextInput
+        id="username"
+        name="username"
+        label="Username"
+        autoComplete="username"
+        className={styles.input}
+        value={username}
+        onChange={(event) => setUsername(event.target.value)}
+        required
+      />
+      <PasswordInput
+        id="password"
+        name="password"
+        label="Password"
+        autoComplete="current-password"
+        className={styles.input}
+        value={password}
+        onChange={(event) => setPassword(event.target.value)}
+        required
+      />
+      <Button type="submit" large disabled={isSubmitting}>
+        {isSubmitting ? "Logging in..." : "Log in"}
+      </Button>
+    </form>
+  );
+};
+
+Login.displayName = "Login";
+
+export default Login;
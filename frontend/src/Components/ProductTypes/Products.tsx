@@ -13,7 +13,6 @@ import {
   liabilitiesCategories,
   paymentCategories,
   assetsCategories,
-  incomePaystubsCategories,
   transferCategories,
   transferAuthorizationCategories,
   signalCategories,
@@ -29,10 +28,16 @@ import {
   transformAssetsData,
   transformTransferData,
   transformTransferAuthorizationData,
-  transformIncomePaystubsData,
   transformSignalData,
   transformStatementsData,
 } from "../../dataUtilities"
+import {
+  fetchAssetReport,
+  fetchTransferAuthorization,
+  fetchTransferCreate,
+  fetchSignalEvaluation,
+  fetchStatements,
+} from "../../requests"
 
 const Products = () => {
   const { products } = useContext(Context)
@@ -97,6 +102,7 @@ const Products = () => {
           schema="/asset_report/get/"
           description="Create and retrieve assets information an asset report"
           transformData={transformAssetsData}
+          fetchData={fetchAssetReport}
         />
       )}
       {!products.includes("payment_initiation") && (
@@ -150,6 +156,7 @@ const Products = () => {
             schema="/transfer/authorization/create"
             description="Authorize a new 1-dollar ACH transfer payment from the linked account"
             transformData={transformTransferAuthorizationData}
+            fetchData={fetchTransferAuthorization}
           />
           <Endpoint
             endpoint="transfer_create"
@@ -158,6 +165,7 @@ const Products = () => {
             schema="/transfer/create/"
             description="(After calling /transfer/authorization/create) Execute an authorized 1-dollar ACH transfer payment from the first linked account"
             transformData={transformTransferData}
+            fetchData={fetchTransferCreate}
           />
         </>
       )}
@@ -170,6 +178,7 @@ const Products = () => {
             schema="/signal/evaluate"
             description="Evaluate the return risk of a proposed $100 debit from the first linked account (in Sandbox, results are randomly generated)"
             transformData={transformSignalData}
+            fetchData={fetchSignalEvaluation}
           />
         </>
       )}
@@ -182,20 +191,10 @@ const Products = () => {
             schema="/statements/list and /statements/download"
             description="List out and download the most recent statement"
             transformData={transformStatementsData}
+            fetchData={fetchStatements}
           />
         </>
       )}
-
-      {products.includes("income_verification") && (
-        <Endpoint
-          endpoint="/income/verification/paystubs"
-          name="Income Paystubs"
-          categories={incomePaystubsCategories}
-          schema="/income/verification/paystubs"
-          description="(Deprecated) Retrieve information from the paystubs used for income verification"
-          transformData={transformIncomePaystubsData}
-        />
-      )}
     </ProductTypesContainer>
   )
 }
@@ -12,10 +12,7 @@ import {
   AssetReport,
   TransferCreateResponse,
   TransferAuthorizationCreateResponse,
-  IncomeVerificationPaystubsGetResponse,
   SignalEvaluateResponse,
-  StatementsListResponse,
-  Paystub,
 } from "plaid/dist/api";
 
 const formatCurrency = (
@@ -116,6 +113,16 @@ interface TransferAuthorizationDataItem {
   decisionRationaleDescription: string | null;
 }
 
+// A statement as listed by GET /api/statements.
+export interface StatementSummary {
+  statement_id: string;
+  month: number;
+  year: number;
+  account_id: string;
+  account_name: string | null;
+  account_mask: string | null;
+}
+
 interface StatementsDataItem {
   account: string | null;
   date: string | null;
@@ -129,12 +136,6 @@ interface SignalDataItem {
   daysSinceFirstPlaidConnection: number | undefined | null;
 }
 
-interface IncomePaystubsDataItem {
-  description: string;
-  currentAmount: number | null;
-  currency: number | null;
-}
-
 export interface ErrorDataItem {
   error_type: string;
   error_code: string;
@@ -157,7 +158,6 @@ export type DataItem =
   | AssetsDataItem
   | TransferDataItem
   | TransferAuthorizationDataItem
-  | IncomePaystubsDataItem
   | SignalDataItem
   | StatementsDataItem;
 
@@ -449,21 +449,6 @@ export const statementsCategories: Array<Categories> = [
   }
 ];
 
-export const incomePaystubsCategories: Array<Categories> = [
-  {
-    title: "Description",
-    field: "description",
-  },
-  {
-    title: "Current Amount",
-    field: "currentAmount",
-  },
-  {
-    title: "Currency",
-    field: "currency",
-  },
-];
-
 export const transformAuthData = (data: AuthGetResponse) => {
   return data.numbers.ach!.map((achNumbers) => {
     const account = data.accounts!.filter((a) => {
@@ -481,13 +466,14 @@ export const transformAuthData = (data: AuthGetResponse) => {
   });
 };
 
-export const transformStatementsData = (data: {json: StatementsListResponse}) => {
-  const account = data.json.accounts[0]!.account_name;
-  const statements = data.json.accounts[0]!.statements;
-  return statements!.map((s) => {
+export const transformStatementsData = (data: {
+  statements: StatementSummary[];
+}) => {
+  return data.statements.map((s) => {
     const item: DataItem = {
-      date: Intl.DateTimeFormat('en', { month: 'long', year:'numeric' }).format(new Date(s.year!, s.month!)),
-      account: account,
+      // Plaid's months run from 1 to 12.
+      date: Intl.DateTimeFormat('en', { month: 'long', year:'numeric' }).format(new Date(s.year, s.month - 1)),
+      account: s.account_mask != null ? `${s.account_name} (${s.account_mask})` : s.account_name,
     };
     return item;
   });
@@ -812,27 +798,3 @@ export const transformAssetsData = (data: AssetResponseData) => {
     });
   });
 };
-
-interface IncomePaystub {
-  paystubs: IncomeVerificationPaystubsGetResponse;
-}
-
-export const transformIncomePaystubsData = (data: IncomePaystub) => {
-  const paystubsItemsArray: Array<Paystub> = data.paystubs.paystubs;
-  var finalArray: Array<IncomePaystubsDataItem> = [];
-  for (var i = 0; i < paystubsItemsArray.length; i++) {
-    var ActualEarningVariable: any = paystubsItemsArray[i].earnings;
-    for (var j = 0; j < ActualEarningVariable.breakdown.length; j++) {
-      var payStubItem: IncomePaystubsDataItem = {
-        description:
-          paystubsItemsArray[i].employer.name +
-          "_" +
-          ActualEarningVariable.breakdown[j].description,
-        currentAmount: ActualEarningVariable.breakdown[j].current_amount,
-        currency: ActualEarningVariable.breakdown[j].iso_currency_code,
-      };
-      finalArray.push(payStubItem);
-    }
-  }
-  return finalArray;
-};
@@ -0,0 +1,214 @@
+import { ErrorDataItem } from "./dataUtilities";
+
+// Requests to the API: logging in and out, and the product endpoints that
+// take more than a GET of /api/{endpoint}, e.g. because the server needs a
+// request body or the data is only ready after polling. Each product request
+// resolves to the data the endpoint's transform expects, or to { error } if a
+// step failed.
+
+// The CSRF token of the current session, from logging in or GET
+// /api/session. The server wants it on every request that isn't a read.
+let csrfToken: string | null = null;
+
+export const setCsrfToken = (token: string | null) => {
+  csrfToken = token;
+};
+
+// fetch for /api routes: sends the session cookie, and the CSRF token with
+// anything but a GET.
+export const apiFetch = (path: string, init: RequestInit = {}) => {
+  const headers = new Headers(init.headers);
+  const method = (init.method || "GET").toUpperCase();
+  if (csrfToken != null && method !== "GET" && method !== "HEAD") {
+    headers.set("X-CSRF-Token", csrfToken);
+  }
+  return fetch(path, { ...init, headers, credentials: "same-origin" });
+};
+
+const getJson = async (path: string) => {
+  const response = await apiFetch(path, { method: "GET" });
+  return response.json();
+};
+
+const postJson = async (path: string, body: object) => {
+  const response = await apiFetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+};
+
+const sleep = (ms: number) =>
+  new Promise((resolve) => setTimeout(resolve, ms));
+
+const clientError = (
+  errorType: string,
+  errorCode: string,
+  errorMessage: string
+): { error: ErrorDataItem } => ({
+  error: {
+    error_type: errorType,
+    error_code: errorCode,
+    error_message: errorMessage,
+    display_message: null,
+    status_code: null,
+  },
+});
+
+// How long to wait for an Asset Report to generate: 30 checks 2s apart.
+const ASSET_REPORT_CHECKS = 30;
+
+// Create an Asset Report for the current Item, wait for it to be generated
+// and fetch it, with a link to its PDF.
+export const fetchAssetReport = async () => {
+  const created = await postJson("/api/assets", {});
+  if (created.error != null) {
+    return created;
+  }
+  const id = created.asset_report_id;
+  let report = created;
+  for (
+    let check = 0;
+    report.status === "pending" && check < ASSET_REPORT_CHECKS;
+    check++
+  ) {
+    await sleep(2000);
+    report = await getJson(`/api/assets/${id}`);
+    if (report.error != null && report.status == null) {
+      return report;
+    }
+  }
+  if (report.status === "failed") {
+    return { error: report.error };
+  }
+  if (report.status !== "ready") {
+    return clientError(
+      "ASSET_REPORT_ERROR",
+      "ASSET_REPORT_NOT_READY",
+      "The Asset Report is taking a while to generate; try again later"
+    );
+  }
+  const data = await getJson(`/api/assets/${id}/report`);
+  if (data.error != null) {
+    return data;
+  }
+  return { json: data.report, pdf_url: `/api/assets/${id}/pdf` };
+};
+
+// List the current Item's statements, with a link to the newest one's PDF.
+export const fetchStatements = async () => {
+  const data = await getJson("/api/statements");
+  if (data.error != null || data.statements == null) {
+    return data;
+  }
+  const newest = data.statements[0];
+  return {
+    ...data,
+    pdf_url:
+      newest != null ? `/api/statements/${newest.statement_id}/pdf` : null,
+  };
+};
+
+// The first checking or savings account on the current Item, which the
+// Transfer and Signal demos move money from.
+const firstDepositoryAccountId = async (): Promise<string | null> => {
+  const data = await getJson("/api/accounts");
+  if (data.accounts == null) {
+    return null;
+  }
+  const account =
+    data.accounts.find(
+      (candidate: { type: string }) => candidate.type === "depository"
+    ) || data.accounts[0];
+  return account != null ? account.account_id : null;
+};
+
+const noAccountError = () =>
+  clientError(
+    "INVALID_REQUEST",
+    "NO_ACCOUNTS",
+    "The linked Item has no account to move money from"
+  );
+
+// The authorization the Transfer demo creates a transfer from.
+let lastAuthorizationId: string | null = null;
+
+// Authorize a 1-dollar ACH debit from the first checking or savings account.
+export const fetchTransferAuthorization = async () => {
+  const accountId = await firstDepositoryAccountId();
+  if (accountId == null) {
+    return noAccountError();
+  }
+  const data = await postJson("/api/transfer_authorize", {
+    account_id: accountId,
+    amount: "1.00",
+    type: "debit",
+    network: "ach",
+    ach_class: "ppd",
+    user: { legal_name: "FirstName LastName" },
+  });
+  if (data.authorization != null) {
+    lastAuthorizationId = data.authorization.id;
+  }
+  return data;
+};
+
+// Create the transfer for the authorization made by
+// fetchTransferAuthorization.
+export const fetchTransferCreate = async () => {
+  if (lastAuthorizationId == null) {
+    return clientError(
+      "INVALID_REQUEST",
+      "AUTHORIZATION_NOT_FOUND",
+      "Authorize a transfer with /transfer/authorization/create first"
+    );
+  }
+  return postJson("/api/transfer_create", {
+    authorization_id: lastAuthorizationId,
+    description: "Debit",
+  });
+};
+
+// Evaluate a 100-dollar debit from the first checking or savings account.
+// Each evaluation needs its own client_transaction_id.
+export const fetchSignalEvaluation = async () => {
+  const accountId = await firstDepositoryAccountId();
+  if (accountId == null) {
+    return noAccountError();
+  }
+  const data = await postJson("/api/signal_evaluate", {
+    account_id: accountId,
+    amount: 100,
+    client_transaction_id: `txn-${Date.now()}`,
+  });
+  return data.evaluation != null ? data.evaluation : data;
+};
+
+// The current session: { user_id, username, csrf_token } when logged in, or
+// { user_id, auth: false } if the server doesn't require a login. Resolves to
+// null if the user has to log in first.
+export const fetchSession = async () => {
+  const response = await apiFetch("/api/session", { method: "GET" });
+  if (response.status === 401) {
+    return null;
+  }
+  const data = await response.json();
+  setCsrfToken(data.csrf_token || null);
+  return data;
+};
+
+// Log in, keeping the new session's CSRF token for later requests. Resolves
+// to the session, or to { error } for a wrong username or password.
+export const logIn = async (username: string, password: string) => {
+  const data = await postJson("/api/login", { username, password });
+  if (data.error == null) {
+    setCsrfToken(data.csrf_token);
+  }
+  return data;
+};
+
+export const logOut = async () => {
+  await postJson("/api/logout", {});
+  setCsrfToken(null);
+};
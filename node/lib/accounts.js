@@ -0,0 +1,47 @@
+'use strict';
+
+// Only checking and savings accounts can be registered for ACH with Coinflow.
+const ELIGIBLE_SUBTYPES = ['checking', 'savings'];
+
+// Pair each requested account from an /auth/get response with its own ACH
+// numbers. Returns one entry per requested account id: eligible ones carry
+// `account` and `ach`, the rest a `reason` they were skipped.
+const selectBankAccounts = (authData, accountIds) =>
+  accountIds.map((accountId) => {
+    const account = authData.accounts.find(
+      (candidate) => candidate.account_id === accountId,
+    );
+    if (account == null) {
+      return { account_id: accountId, reason: 'Account not found on Item' };
+    }
+    if (
+      account.type !== 'depository' ||
+      !ELIGIBLE_SUBTYPES.includes(account.subtype)
+    ) {
+      return {
+        account_id: accountId,
+        account,
+        reason: `Only checking and savings accounts can be registered, not ${account.type} ${account.subtype}`,
+      };
+    }
+    const ach = authData.numbers.ach.find(
+      (numbers) => numbers.account_id === accountId,
+    );
+    if (ach == null) {
+      return {
+        account_id: accountId,
+        account,
+        reason: 'No ACH numbers are available for this account',
+      };
+    }
+    return { account_id: accountId, account, ach };
+  });
+
+// The account ids chosen in Link, from the `metadata` passed to onSuccess.
+// https://plaid.com/docs/link/web/#onsuccess
+const linkSelectedAccountIds = (metadata) =>
+  metadata != null && Array.isArray(metadata.accounts)
+    ? metadata.accounts.map((account) => account.id)
+    : [];
+
+module.exports = { selectBankAccounts, linkSelectedAccountIds };
@@ -0,0 +1,253 @@
+'use strict';
+
+// Asset Reports are generated asynchronously by Plaid. We record each report
+// we ask for as a job, keyed by its asset_report_id, and move it from
+// 'pending' to 'ready' (or 'failed') either when the ASSETS webhook arrives or
+// when a caller checks on it. The asset_report_token never leaves the server.
+// https://plaid.com/docs/assets/
+
+const ASSET_REPORTS = 'asset_reports';
+
+// Plaid accepts up to two years of history.
+const MAX_DAYS_REQUESTED = 731;
+const DEFAULT_DAYS_REQUESTED = 60;
+
+// An Asset Report covers at most 100 Items.
+const MAX_REPORT_ITEMS = 100;
+
+const USER_FIELDS = [
+  'client_user_id',
+  'first_name',
+  'middle_name',
+  'last_name',
+  'ssn',
+  'phone_number',
+  'email',
+];
+
+// Returns a list of problems with the days_requested/user options of a
+// create or refresh request, empty if they are valid.
+const validateReportOptions = ({ days_requested, user }) => {
+  const errors = [];
+  if (
+    days_requested != null &&
+    !(
+      Number.isInteger(Number(days_requested)) &&
+      Number(days_requested) >= 0 &&
+      Number(days_requested) <= MAX_DAYS_REQUESTED
+    )
+  ) {
+    errors.push(
+      `days_requested must be a whole number from 0 to ${MAX_DAYS_REQUESTED}`,
+    );
+  }
+  if (user != null && typeof user !== 'object') {
+    errors.push('user must be an object');
+  }
+  return errors;
+};
+
+// Returns a list of problems with the item_ids of a create request, empty if
+// it is left out or is a list of 1 to 100 ids.
+const validateItemIds = (itemIds) => {
+  if (itemIds == null) {
+    return [];
+  }
+  if (
+    !Array.isArray(itemIds) ||
+    itemIds.length === 0 ||
+    itemIds.length > MAX_REPORT_ITEMS ||
+    !itemIds.every((itemId) => typeof itemId === 'string' && itemId !== '')
+  ) {
+    return [`item_ids must be a list of 1 to ${MAX_REPORT_ITEMS} Item ids`];
+  }
+  return [];
+};
+
+// Only pass through the user fields Plaid knows about.
+const reportUser = (userId, user = {}) => {
+  const result = { client_user_id: userId };
+  USER_FIELDS.forEach((field) => {
+    if (user[field] != null && user[field] !== '') {
+      result[field] = user[field];
+    }
+  });
+  return result;
+};
+
+const recordReport = (store, report) =>
+  store.put(ASSET_REPORTS, report.asset_report_id, {
+    status: 'pending',
+    created_at: new Date().toISOString(),
+    ...report,
+  });
+
+const createReport = async (client, store, userId, items, options) => {
+  const daysRequested = Number(
+    options.days_requested != null
+      ? options.days_requested
+      : DEFAULT_DAYS_REQUESTED,
+  );
+  const assetReportCreateResponse = await client.assetReportCreate({
+    access_tokens: items.map((item) => item.access_token),
+    days_requested: daysRequested,
+    options: {
+      client_report_id: options.client_report_id,
+      webhook: options.webhook,
+      user: reportUser(userId, options.user),
+    },
+  });
+  return recordReport(store, {
+    asset_report_id: assetReportCreateResponse.data.asset_report_id,
+    asset_report_token: assetReportCreateResponse.data.asset_report_token,
+    user_id: userId,
+    item_ids: items.map((item) => item.item_id),
+    days_requested: daysRequested,
+    type: 'create',
+  });
+};
+
+// Create a new report for the same Items with fresh data.
+const refreshReport = async (client, store, report, options) => {
+  const assetReportRefreshResponse = await client.assetReportRefresh({
+    asset_report_token: report.asset_report_token,
+    days_requested:
+      options.days_requested != null
+        ? Number(options.days_requested)
+        : undefined,
+    options: {
+      webhook: options.webhook,
+      user: options.user ? reportUser(report.user_id, options.user) : undefined,
+    },
+  });
+  return recordReport(store, {
+    asset_report_id: assetReportRefreshResponse.data.asset_report_id,
+    asset_report_token: assetReportRefreshResponse.data.asset_report_token,
+    user_id: report.user_id,
+    item_ids: report.item_ids,
+    days_requested: options.days_requested || report.days_requested,
+    type: 'refresh',
+    parent_asset_report_id: report.asset_report_id,
+  });
+};
+
+// Create a copy of a report without some of its accounts.
+const filterReport = async (client, store, report, accountIdsToExclude) => {
+  const assetReportFilterResponse = await client.assetReportFilter({
+    asset_report_token: report.asset_report_token,
+    account_ids_to_exclude: accountIdsToExclude,
+  });
+  return recordReport(store, {
+    asset_report_id: assetReportFilterResponse.data.asset_report_id,
+    asset_report_token: assetReportFilterResponse.data.asset_report_token,
+    user_id: report.user_id,
+    item_ids: report.item_ids,
+    days_requested: report.days_requested,
+    type: 'filter',
+    parent_asset_report_id: report.asset_report_id,
+    excluded_account_ids: accountIdsToExclude,
+  });
+};
+
+// Create an Audit Copy of a report that a third party (e.g. a lender's
+// auditor, identified by `auditorId`) can retrieve with the returned token.
+const createAuditCopy = async (client, store, report, auditorId) => {
+  const auditCopyCreateResponse = await client.assetReportAuditCopyCreate({
+    asset_report_token: report.asset_report_token,
+    auditor_id: auditorId,
+  });
+  const auditCopy = {
+    audit_copy_token: auditCopyCreateResponse.data.audit_copy_token,
+    auditor_id: auditorId,
+    created_at: new Date().toISOString(),
+  };
+  store.update(ASSET_REPORTS, report.asset_report_id, {
+    audit_copies: (report.audit_copies || []).concat(auditCopy),
+  });
+  return auditCopy;
+};
+
+const getReport = (store, userId, assetReportId) => {
+  const report = store.get(ASSET_REPORTS, assetReportId);
+  return report != null && report.user_id === userId ? report : null;
+};
+
+const listReports = (store, userId) =>
+  store
+    .list(ASSET_REPORTS, (report) => report.user_id === userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+const markReady = (store, assetReportId) =>
+  store.update(ASSET_REPORTS, assetReportId, {
+    status: 'ready',
+    ready_at: new Date().toISOString(),
+  });
+
+const markFailed = (store, assetReportId, error) =>
+  store.update(ASSET_REPORTS, assetReportId, {
+    status: 'failed',
+    error: {
+      error_type: error.error_type,
+      error_code: error.error_code,
+      error_message: error.error_message,
+    },
+  });
+
+// Errors from /asset_report/get meaning the report will never be ready.
+// Anything else (rate limits, Plaid outages, ...) may clear up, so the report
+// is left pending.
+// https://plaid.com/docs/errors/assets/
+const TERMINAL_REPORT_ERRORS = [
+  'ASSET_REPORT_GENERATION_FAILED',
+  'DATA_QUALITY_CHECK_FAILED',
+  'INSUFFICIENT_CREDENTIALS',
+  'PRODUCT_NOT_ENABLED',
+];
+
+// Check on a pending report without waiting for the webhook. Plaid answers
+// PRODUCT_NOT_READY until generation has finished; errors that may be
+// temporary are rethrown with the report still pending.
+const checkReportStatus = async (client, store, report) => {
+  if (report.status !== 'pending') {
+    return report;
+  }
+  try {
+    await client.assetReportGet({
+      asset_report_token: report.asset_report_token,
+    });
+    return markReady(store, report.asset_report_id);
+  } catch (error) {
+    const data = error.response && error.response.data;
+    if (data == null) {
+      throw error;
+    }
+    if (data.error_code === 'PRODUCT_NOT_READY') {
+      return report;
+    }
+    if (!TERMINAL_REPORT_ERRORS.includes(data.error_code)) {
+      throw error;
+    }
+    return markFailed(store, report.asset_report_id, data);
+  }
+};
+
+// The fields of a report record that are safe to return to a client.
+const publicReport = (report) => {
+  const { asset_report_token, ...rest } = report;
+  return rest;
+};
+
+module.exports = {
+  validateItemIds,
+  validateReportOptions,
+  createReport,
+  refreshReport,
+  filterReport,
+  createAuditCopy,
+  getReport,
+  listReports,
+  markReady,
+  markFailed,
+  checkReportStatus,
+  publicReport,
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+// Authentication for the API. Users log in through an identity provider and
+// get a session, kept in the store and identified by an HttpOnly cookie.
+// Each session also has a CSRF token that must accompany every request that
+// changes something.
+//
+// An identity provider is any object with an async
+// `authenticate(credentials)` that resolves to { user_id, username } for
+// valid credentials and null otherwise, so logins can be handed to an
+// existing user database or single sign-on service. The default is
+// createLocalProvider, which checks usernames and passwords kept in the
+// store; add accounts to it with `npm run add-user`.
+
+const crypto = require('crypto');
+const util = require('util');
+
+const SESSIONS = 'sessions';
+const LOCAL_ACCOUNTS = 'local_accounts';
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, expected] = passwordHash.split('$');
+  if (scheme !== 'scrypt') {
+    return false;
+  }
+  const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'));
+};
+
+// Checked against when a username doesn't exist, so that a failed login
+// takes as long whether or not it does.
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+// Usernames double as user ids, which key the user's Items and other data.
+const isValidUsername = (username) =>
+  typeof username === 'string' && /^[a-zA-Z0-9_.@-]{1,64}$/.test(username);
+
+const createLocalProvider = (store) => ({
+  name: 'local',
+
+  authenticate: async ({ username, password }) => {
+    if (!isValidUsername(username) || typeof password !== 'string') {
+      return null;
+    }
+    const account = store.get(LOCAL_ACCOUNTS, username);
+    const valid = await verifyPassword(
+      password,
+      account != null ? account.password_hash : DUMMY_HASH,
+    );
+    return account != null && valid
+      ? { user_id: account.username, username: account.username }
+      : null;
+  },
+
+  // Create an account, or reset the password of an existing one.
+  setPassword: async (username, password) => {
+    if (!isValidUsername(username)) {
+      throw new Error(
+        'Usernames may only contain letters, digits and _ . @ - (at most 64)',
+      );
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Passwords must be at least 8 characters');
+    }
+    store.ensureUser(username);
+    return store.put(LOCAL_ACCOUNTS, username, {
+      username,
+      password_hash: await hashPassword(password),
+      updated_at: new Date().toISOString(),
+    });
+  },
+});
+
+// Sessions are stored under a hash of their id, so the ids in the store
+// can't be used to log in.
+const sessionKey = (sessionId) =>
+  crypto.createHash('sha256').update(sessionId).digest('hex');
+
+const createSessions = (store, { ttlMs }) => {
+  const removeExpired = () => {
+    const now = Date.now();
+    store.batch(() => {
+      store
+        .list(SESSIONS, (session) => Date.parse(session.expires_at) <= now)
+        .forEach((session) => store.remove(SESSIONS, session.key));
+    });
+  };
+
+  return {
+    // Start a session for a user. Returns the session id for the cookie
+    // along with the session.
+    create: (user, providerName) => {
+      removeExpired();
+      const sessionId = crypto.randomBytes(32).toString('base64url');
+      const key = sessionKey(sessionId);
+      const now = Date.now();
+      const session = store.put(SESSIONS, key, {
+        key,
+        user_id: user.user_id,
+        username: user.username,
+        provider: providerName,
+        csrf_token: crypto.randomBytes(32).toString('base64url'),
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + ttlMs).toISOString(),
+      });
+      return { sessionId, session };
+    },
+
+    // The unexpired session with this id, or null.
+    get: (sessionId) => {
+      if (!sessionId) {
+        return null;
+      }
+      const session = store.get(SESSIONS, sessionKey(sessionId));
+      if (session == null || Date.parse(session.expires_at) <= Date.now()) {
+        return null;
+      }
+      return session;
+    },
+
+    destroy: (sessionId) => {
+      store.remove(SESSIONS, sessionKey(sessionId));
+    },
+  };
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies that aren't ours and aren't URI encoded.
+      }
+    }
+  });
+  return cookies;
+};
+
+// A Set-Cookie value for the session cookie. Pass a maxAgeMs of 0 to clear
+// it.
+const sessionCookie = (name, value, { maxAgeMs, secure }) =>
+  [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/api',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : []),
+  ].join('; ');
+
+// Compare a CSRF token from a request with the session's in constant time.
+const isValidCsrfToken = (session, token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(session.csrf_token);
+  const actual = Buffer.from(token);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+module.exports = {
+  createLocalProvider,
+  createSessions,
+  parseCookies,
+  sessionCookie,
+  isValidCsrfToken,
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+// An in-memory cache for Plaid responses that are requested often but change
+// rarely. Entries expire after a TTL chosen per endpoint, and every entry is
+// tagged with the Item it belongs to so that all of an Item's entries can be
+// dropped at once when a webhook or update tells us its data has changed.
+//
+// Institution metadata is kept far longer, in the store, since it almost
+// never changes (see getInstitution).
+
+const INSTITUTIONS = 'institutions';
+
+// Institutions are re-fetched after this long.
+const INSTITUTION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// `ttls` maps a name (usually the Plaid method) to its TTL in milliseconds.
+// Names without a TTL aren't cached.
+const createCache = (ttls = {}) => {
+  const entries = new Map();
+  // Calls in progress, so that concurrent requests share one Plaid call.
+  const pending = new Map();
+
+  const key = (name, tag) => `${tag}:${name}`;
+
+  // Return the cached value for `name` and `tag`, or call `fn` to fetch it.
+  const wrap = async (name, tag, fn) => {
+    const ttl = ttls[name];
+    if (!ttl) {
+      return fn();
+    }
+    const entryKey = key(name, tag);
+    const entry = entries.get(entryKey);
+    if (entry != null && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+    if (pending.has(entryKey)) {
+      return pending.get(entryKey);
+    }
+    const promise = Promise.resolve()
+      .then(fn)
+      .then((value) => {
+        // Skip storing if the tag was invalidated while we were fetching.
+        if (pending.get(entryKey) === promise) {
+          entries.set(entryKey, { tag, value, expiresAt: Date.now() + ttl });
+        }
+        return value;
+      })
+      .finally(() => {
+        if (pending.get(entryKey) === promise) {
+          pending.delete(entryKey);
+        }
+      });
+    pending.set(entryKey, promise);
+    return promise;
+  };
+
+  const set = (name, tag, value) => {
+    const ttl = ttls[name];
+    if (ttl) {
+      entries.set(key(name, tag), { tag, value, expiresAt: Date.now() + ttl });
+    }
+  };
+
+  // Drop every entry for a tag (an Item id).
+  const invalidate = (tag) => {
+    const prefix = `${tag}:`;
+    [entries, pending].forEach((map) => {
+      Array.from(map.keys())
+        .filter((entryKey) => entryKey.startsWith(prefix))
+        .forEach((entryKey) => map.delete(entryKey));
+    });
+  };
+
+  return { wrap, set, invalidate };
+};
+
+// An institution's details, including its logo and colors, from the store if
+// we fetched them within INSTITUTION_TTL_MS and from Plaid otherwise.
+// https://plaid.com/docs/api/institutions/#institutionsget_by_id
+const getInstitution = async (client, store, institutionId, countryCodes) => {
+  const cached = store.get(INSTITUTIONS, institutionId);
+  if (
+    cached != null &&
+    Date.now() - Date.parse(cached.fetched_at) < INSTITUTION_TTL_MS
+  ) {
+    return cached.institution;
+  }
+  const institutionResponse = await client.institutionsGetById({
+    institution_id: institutionId,
+    country_codes: countryCodes,
+    options: { include_optional_metadata: true },
+  });
+  const institution = institutionResponse.data.institution;
+  store.put(INSTITUTIONS, institutionId, {
+    institution,
+    fetched_at: new Date().toISOString(),
+  });
+  return institution;
+};
+
+module.exports = { createCache, getInstitution };
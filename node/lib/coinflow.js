@@ -0,0 +1,111 @@
+'use strict';
+
+// A small client for the Coinflow API endpoints used by the quickstart.
+// https://docs.coinflow.cash/reference
+
+const COINFLOW_ENVIRONMENTS = {
+  sandbox: 'https://api-sandbox.coinflow.cash',
+  production: 'https://api.coinflow.cash',
+};
+
+// Thrown for any non-2xx response from Coinflow. `status` is the HTTP status
+// and `body` the parsed response (or raw text when it isn't JSON).
+class CoinflowError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'CoinflowError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Creates a client for the given environment ('sandbox' or 'production'), or
+// for an explicit `baseUrl`. `apiKey` is the merchant API key, which is only
+// needed for merchant-authenticated calls such as addBankAccount.
+const createCoinflowClient = ({
+  environment = 'sandbox',
+  baseUrl,
+  apiKey,
+  blockchain = 'solana',
+}) => {
+  const url = baseUrl || COINFLOW_ENVIRONMENTS[environment];
+  if (url == null) {
+    throw new Error(`Unknown Coinflow environment ${environment}`);
+  }
+
+  const walletHeaders = (wallet) => ({
+    'x-coinflow-auth-blockchain': blockchain,
+    'x-coinflow-auth-wallet': wallet,
+  });
+
+  const request = async (method, path, { headers = {}, body } = {}) => {
+    const coinflowResponse = await fetch(url + path, {
+      method,
+      headers: {
+        accept: 'application/json',
+        ...(body != null ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body != null ? JSON.stringify(body) : undefined,
+    });
+    const text = await coinflowResponse.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = text;
+    }
+    if (!coinflowResponse.ok) {
+      throw new CoinflowError(
+        `Coinflow ${method} ${path} failed with status ${coinflowResponse.status}`,
+        coinflowResponse.status,
+        json,
+      );
+    }
+    return json;
+  };
+
+  const merchantHeaders = () => {
+    if (!apiKey) {
+      throw new Error('COINFLOW_API_KEY is not set');
+    }
+    return { Authorization: apiKey };
+  };
+
+  return {
+    blockchain,
+
+    // The message a wallet must sign to authenticate with Coinflow.
+    getAuthMessage: async (wallet) => {
+      const json = await request('GET', '/api/auth', {
+        headers: walletHeaders(wallet),
+      });
+      return json.message;
+    },
+
+    // Exchange a wallet's base58 signature of the auth message for a
+    // Coinflow JWT.
+    authenticate: async (wallet, signedMessage) => {
+      const json = await request('POST', '/api/auth', {
+        headers: walletHeaders(wallet),
+        body: { signedMessage },
+      });
+      return json.jwt;
+    },
+
+    // Register a bank account for a wallet's customer.
+    addBankAccount: (bankAccount) =>
+      request('POST', '/api/customer/bankAccount/', {
+        headers: merchantHeaders(),
+        body: { blockchain, ...bankAccount },
+      }),
+
+    // Fetch the customer record for an authenticated wallet.
+    getCustomer: (jwt, wallet) =>
+      request('GET', '/api/customer', {
+        headers: { Authorization: jwt, ...walletHeaders(wallet) },
+      }),
+  };
+};
+
+module.exports = { COINFLOW_ENVIRONMENTS, CoinflowError, createCoinflowClient };
@@ -0,0 +1,219 @@
+'use strict';
+
+// Turns any error that reaches the /api error handler into an HTTP status and
+// a response body in Plaid's error shape ({ error: { error_type, error_code,
+// error_message, status_code, ... } }). Errors fall into four kinds:
+//
+// - 'plaid': the Plaid API rejected a call. Plaid's own error is passed on,
+//   with a remediation hint when we know what the caller should do about it.
+// - 'upstream': Plaid or Coinflow failed or couldn't be reached.
+// - 'validation': the request itself was malformed, e.g. unparseable JSON.
+// - 'internal': anything else, i.e. a bug. Details are logged, not returned.
+
+const { CoinflowError } = require('./coinflow');
+const { TransactionsSyncError } = require('./transactions');
+
+// What a caller can do about a Plaid error, by error_code. `action` is
+// machine-readable; `hint` is for people.
+// https://plaid.com/docs/errors/
+const PLAID_REMEDIATIONS = {
+  ITEM_LOGIN_REQUIRED: {
+    action: 'RELAUNCH_LINK_UPDATE_MODE',
+    hint: 'Relaunch Link in update mode so the user can log in again',
+  },
+  ACCESS_NOT_GRANTED: {
+    action: 'RELAUNCH_LINK_UPDATE_MODE',
+    hint: 'Relaunch Link in update mode so the user can grant access to the data this product needs',
+  },
+  ADDITIONAL_CONSENT_REQUIRED: {
+    action: 'RELAUNCH_LINK_UPDATE_MODE',
+    hint: 'Relaunch Link in update mode with the new product so the user can consent to it',
+  },
+  NO_ACCOUNTS: {
+    action: 'RELAUNCH_LINK_UPDATE_MODE',
+    hint: 'Relaunch Link in update mode with account selection enabled',
+  },
+  PRODUCT_NOT_READY: {
+    action: 'RETRY_AFTER_WEBHOOK',
+    hint: 'The data is still being prepared; retry after the corresponding webhook arrives',
+  },
+  TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION: {
+    action: 'RESTART_SYNC',
+    hint: 'Restart the sync from the cursor it began with',
+  },
+  INVALID_ACCESS_TOKEN: {
+    action: 'LINK_NEW_ITEM',
+    hint: 'The access token is no longer valid; link the account again',
+  },
+  ITEM_NOT_FOUND: {
+    action: 'LINK_NEW_ITEM',
+    hint: 'The Item has been removed; link the account again',
+  },
+  INSTITUTION_NO_LONGER_SUPPORTED: {
+    action: 'LINK_NEW_ITEM',
+    hint: 'The institution is no longer supported; link an account at another institution',
+  },
+  PRODUCTS_NOT_SUPPORTED: {
+    action: 'LINK_NEW_ITEM',
+    hint: 'The institution does not support this product for this Item',
+  },
+  INVALID_API_KEYS: {
+    action: 'CHECK_CONFIGURATION',
+    hint: 'Check PLAID_CLIENT_ID, PLAID_SECRET and PLAID_ENV',
+  },
+  INVALID_PRODUCT: {
+    action: 'CHECK_CONFIGURATION',
+    hint: 'The product is not enabled for this client or not initialized on this Item; check PLAID_PRODUCTS',
+  },
+};
+
+// Fallbacks by error_type for codes without their own entry.
+const PLAID_TYPE_REMEDIATIONS = {
+  RATE_LIMIT_EXCEEDED: {
+    action: 'RETRY_LATER',
+    hint: 'Too many requests; retry with backoff',
+  },
+  INSTITUTION_ERROR: {
+    action: 'RETRY_LATER',
+    hint: 'The institution is unavailable; retry later',
+  },
+  API_ERROR: {
+    action: 'RETRY_LATER',
+    hint: 'Plaid had a temporary problem; retry later',
+  },
+};
+
+const plaidRemediation = (plaidError) =>
+  PLAID_REMEDIATIONS[plaidError.error_code] ||
+  PLAID_TYPE_REMEDIATIONS[plaidError.error_type] ||
+  null;
+
+// Axios errors from the Plaid client carry Plaid's error in response.data.
+const isPlaidError = (error) =>
+  error != null &&
+  error.isAxiosError === true &&
+  error.response != null &&
+  error.response.data != null &&
+  error.response.data.error_type != null;
+
+// Axios errors with no response: the request timed out or never connected.
+const isPlaidUnreachable = (error) =>
+  error != null && error.isAxiosError === true && error.response == null;
+
+// Errors raised by body-parser and other http-errors style middleware for
+// bad requests, e.g. malformed JSON or an oversized body.
+const isRequestError = (error) =>
+  error != null &&
+  error.expose === true &&
+  error.status >= 400 &&
+  error.status < 500;
+
+const errorBody = (
+  statusCode,
+  errorType,
+  errorCode,
+  errorMessage,
+  details,
+) => ({
+  error: {
+    error_type: errorType,
+    error_code: errorCode,
+    error_message: errorMessage,
+    status_code: statusCode,
+    ...details,
+  },
+});
+
+// Classify an error. Returns { kind, statusCode, body }.
+const describeError = (error) => {
+  if (isPlaidError(error)) {
+    const plaidError = error.response.data;
+    // A 5xx from Plaid is a failed upstream, not a server error of ours.
+    const kind = error.response.status >= 500 ? 'upstream' : 'plaid';
+    const statusCode = kind === 'upstream' ? 502 : error.response.status;
+    return {
+      kind,
+      statusCode,
+      body: {
+        error: {
+          ...plaidError,
+          status_code: statusCode,
+          plaid_status_code: error.response.status,
+          remediation: plaidRemediation(plaidError),
+        },
+      },
+    };
+  }
+  if (isPlaidUnreachable(error)) {
+    const timedOut =
+      error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const statusCode = timedOut ? 504 : 502;
+    return {
+      kind: 'upstream',
+      statusCode,
+      body: errorBody(
+        statusCode,
+        'API_ERROR',
+        timedOut ? 'PLAID_TIMEOUT' : 'PLAID_UNREACHABLE',
+        timedOut ? 'Plaid did not respond in time' : 'Could not reach Plaid',
+        { remediation: PLAID_TYPE_REMEDIATIONS.API_ERROR },
+      ),
+    };
+  }
+  if (error instanceof CoinflowError) {
+    return {
+      kind: 'upstream',
+      statusCode: 502,
+      body: errorBody(
+        502,
+        'COINFLOW_ERROR',
+        `COINFLOW_${error.status}`,
+        error.message,
+        { coinflow_status: error.status, coinflow_response: error.body },
+      ),
+    };
+  }
+  if (error instanceof TransactionsSyncError) {
+    return {
+      kind: 'upstream',
+      statusCode: 503,
+      body: errorBody(
+        503,
+        'TRANSACTIONS_ERROR',
+        'TRANSACTIONS_SYNC_RESTART_LIMIT',
+        error.message,
+        {
+          item_id: error.itemId,
+          remediation: {
+            action: 'RETRY_LATER',
+            hint: 'The Item kept changing while its transactions were fetched; retry later',
+          },
+        },
+      ),
+    };
+  }
+  if (isRequestError(error)) {
+    return {
+      kind: 'validation',
+      statusCode: error.status,
+      body: errorBody(
+        error.status,
+        'INVALID_REQUEST',
+        error.type === 'entity.parse.failed' ? 'INVALID_BODY' : 'BAD_REQUEST',
+        error.message,
+      ),
+    };
+  }
+  return {
+    kind: 'internal',
+    statusCode: 500,
+    body: errorBody(
+      500,
+      'INTERNAL_ERROR',
+      'INTERNAL_SERVER_ERROR',
+      'An unexpected error occurred',
+    ),
+  };
+};
+
+module.exports = { PLAID_REMEDIATIONS, plaidRemediation, describeError };
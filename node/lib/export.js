@@ -0,0 +1,795 @@
+'use strict';
+
+// Exports of an Item's balances, transactions, holdings and liabilities for
+// spreadsheets and accounting tools, as CSV, NDJSON (one JSON object per
+// line) or OFX 2.2. QFX is OFX with Quicken's file extension and media type.
+//
+// CSV and NDJSON have one flat record per account, transaction, holding or
+// liability, with the same columns in both. Amounts keep Plaid's conventions,
+// so a positive transaction amount is money leaving the account. Each record
+// has Plaid's iso_currency_code, or for currencies without one (such as
+// cryptocurrencies) its unofficial_currency_code.
+//
+// OFX has one statement per account and currency, with amounts signed the OFX
+// way (negative for debits). It can't express unofficial currencies, so
+// records in one are left out, as are pending transactions (their ids change
+// when they post), accounts of types OFX statements don't cover, and
+// liabilities altogether. QFX files also carry the INTU.BID Quicken needs to
+// import them.
+// https://financialdataexchange.org/ofx
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+const DATASETS = ['balances', 'transactions', 'holdings', 'liabilities'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+  qfx: { contentType: 'application/vnd.intu.qfx', extension: 'qfx' },
+};
+
+const OFX_FORMATS = ['ofx', 'qfx'];
+
+const isDate = (value) =>
+  typeof value === 'string' && moment(value, 'YYYY-MM-DD', true).isValid();
+
+// Split the comma-separated `account_ids` query parameter.
+const parseAccountIds = (value) =>
+  typeof value === 'string' && value !== ''
+    ? value.split(',').map((accountId) => accountId.trim())
+    : null;
+
+// Returns a list of problems with an export's dataset and query parameters,
+// empty if there are none.
+const validateExportRequest = (dataset, query) => {
+  const errors = [];
+  const format = query.format || 'csv';
+  if (!DATASETS.includes(dataset)) {
+    errors.push(`dataset must be one of ${DATASETS.join(', ')}`);
+  }
+  if (FORMATS[format] == null) {
+    errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  } else if (dataset === 'liabilities' && OFX_FORMATS.includes(format)) {
+    errors.push('liabilities can only be exported as csv or ndjson');
+  }
+  ['start_date', 'end_date'].forEach((field) => {
+    if (query[field] == null) {
+      return;
+    }
+    if (dataset !== 'transactions') {
+      errors.push(`${field} only applies to transactions`);
+    } else if (!isDate(query[field])) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  });
+  if (
+    isDate(query.start_date) &&
+    isDate(query.end_date) &&
+    query.start_date > query.end_date
+  ) {
+    errors.push('start_date must not be after end_date');
+  }
+  return errors;
+};
+
+// The export's filters from its query parameters.
+const exportFilters = (query) => ({
+  accountIds: parseAccountIds(query.account_ids),
+  startDate: query.start_date || null,
+  endDate: query.end_date || null,
+});
+
+// Limit an export's data (see createExport) to the chosen accounts and, for
+// transactions, dates.
+const filterData = (data, { accountIds, startDate, endDate }) => {
+  const inAccounts = (record) =>
+    accountIds == null || accountIds.includes(record.account_id);
+  const inDates = (transaction) =>
+    (startDate == null || transaction.date >= startDate) &&
+    (endDate == null || transaction.date <= endDate);
+  const filtered = { ...data, accounts: data.accounts.filter(inAccounts) };
+  if (data.transactions != null) {
+    filtered.transactions = data.transactions
+      .filter(inAccounts)
+      .filter(inDates);
+  }
+  if (data.holdings != null) {
+    filtered.holdings = data.holdings.filter(inAccounts);
+  }
+  if (data.liabilities != null) {
+    filtered.liabilities = {};
+    Object.keys(data.liabilities).forEach((type) => {
+      filtered.liabilities[type] =
+        data.liabilities[type] != null
+          ? data.liabilities[type].filter(inAccounts)
+          : null;
+    });
+  }
+  return filtered;
+};
+
+// Plaid sets exactly one of these on balances, transactions and holdings.
+const currencyOf = (record) => ({
+  iso_currency_code: record.iso_currency_code || null,
+  unofficial_currency_code: record.unofficial_currency_code || null,
+});
+
+// The columns identifying a record's account. `account` is null if the
+// record's account isn't in the response.
+const accountColumns = (accountId, account) => ({
+  account_id: accountId,
+  account_name: account != null ? account.name : null,
+  account_mask: account != null ? account.mask : null,
+});
+
+const indexAccounts = (accounts) => {
+  const accountsById = {};
+  accounts.forEach((account) => {
+    accountsById[account.account_id] = account;
+  });
+  return accountsById;
+};
+
+// Records
+
+const BALANCE_COLUMNS = [
+  'account_id',
+  'account_name',
+  'official_name',
+  'account_mask',
+  'type',
+  'subtype',
+  'available',
+  'current',
+  'limit',
+  'iso_currency_code',
+  'unofficial_currency_code',
+  'last_updated_datetime',
+];
+
+const balanceRecords = ({ accounts }) =>
+  accounts.map((account) => ({
+    ...accountColumns(account.account_id, account),
+    official_name: account.official_name,
+    type: account.type,
+    subtype: account.subtype,
+    available: account.balances.available,
+    current: account.balances.current,
+    limit: account.balances.limit,
+    ...currencyOf(account.balances),
+    last_updated_datetime: account.balances.last_updated_datetime || null,
+  }));
+
+const TRANSACTION_COLUMNS = [
+  'transaction_id',
+  'account_id',
+  'account_name',
+  'account_mask',
+  'date',
+  'authorized_date',
+  'name',
+  'merchant_name',
+  'amount',
+  'iso_currency_code',
+  'unofficial_currency_code',
+  'pending',
+  'category',
+  'category_detailed',
+  'payment_channel',
+  'check_number',
+];
+
+const transactionRecords = ({ accounts, transactions }) => {
+  const accountsById = indexAccounts(accounts);
+  return transactions.map((transaction) => {
+    const category = transaction.personal_finance_category || {};
+    return {
+      transaction_id: transaction.transaction_id,
+      ...accountColumns(
+        transaction.account_id,
+        accountsById[transaction.account_id],
+      ),
+      date: transaction.date,
+      authorized_date: transaction.authorized_date,
+      name: transaction.name,
+      merchant_name: transaction.merchant_name,
+      amount: transaction.amount,
+      ...currencyOf(transaction),
+      pending: transaction.pending,
+      category: category.primary || null,
+      category_detailed: category.detailed || null,
+      payment_channel: transaction.payment_channel,
+      check_number: transaction.check_number || null,
+    };
+  });
+};
+
+const HOLDING_COLUMNS = [
+  'account_id',
+  'account_name',
+  'account_mask',
+  'security_id',
+  'ticker_symbol',
+  'security_name',
+  'security_type',
+  'cusip',
+  'isin',
+  'quantity',
+  'institution_price',
+  'institution_price_as_of',
+  'institution_value',
+  'cost_basis',
+  'iso_currency_code',
+  'unofficial_currency_code',
+];
+
+const holdingRecords = ({ accounts, holdings, securities }) => {
+  const accountsById = indexAccounts(accounts);
+  return holdings.map((holding) => {
+    const security =
+      securities.find(
+        (candidate) => candidate.security_id === holding.security_id,
+      ) || {};
+    return {
+      ...accountColumns(holding.account_id, accountsById[holding.account_id]),
+      security_id: holding.security_id,
+      ticker_symbol: security.ticker_symbol || null,
+      security_name: security.name || null,
+      security_type: security.type || null,
+      cusip: security.cusip || null,
+      isin: security.isin || null,
+      quantity: holding.quantity,
+      institution_price: holding.institution_price,
+      institution_price_as_of: holding.institution_price_as_of || null,
+      institution_value: holding.institution_value,
+      cost_basis: holding.cost_basis,
+      ...currencyOf(holding),
+    };
+  });
+};
+
+const LIABILITY_COLUMNS = [
+  'account_id',
+  'account_name',
+  'account_mask',
+  'liability_type',
+  'current_balance',
+  'iso_currency_code',
+  'unofficial_currency_code',
+  'interest_rate_percentage',
+  'minimum_payment_amount',
+  'next_payment_due_date',
+  'last_payment_amount',
+  'last_payment_date',
+  'last_statement_balance',
+  'last_statement_issue_date',
+  'origination_principal_amount',
+  'maturity_date',
+  'is_overdue',
+];
+
+// The fields that credit cards, mortgages and student loans name
+// differently, mapped onto LIABILITY_COLUMNS.
+// https://plaid.com/docs/api/products/liabilities/#liabilitiesget
+const LIABILITY_FIELDS = {
+  credit: (liability) => {
+    const purchaseApr =
+      (liability.aprs || []).find((apr) => apr.apr_type === 'purchase_apr') ||
+      {};
+    return {
+      interest_rate_percentage: purchaseApr.apr_percentage,
+    };
+  },
+  mortgage: (liability) => ({
+    interest_rate_percentage: (liability.interest_rate || {}).percentage,
+    minimum_payment_amount: liability.next_monthly_payment,
+    is_overdue:
+      liability.past_due_amount != null && liability.past_due_amount > 0,
+  }),
+  student: (liability) => ({
+    interest_rate_percentage: liability.interest_rate_percentage,
+    maturity_date: liability.expected_payoff_date,
+  }),
+};
+
+const liabilityRecords = ({ accounts, liabilities }) => {
+  const accountsById = indexAccounts(accounts);
+  const records = [];
+  Object.keys(LIABILITY_FIELDS).forEach((type) => {
+    (liabilities[type] || []).forEach((liability) => {
+      const account = accountsById[liability.account_id];
+      records.push({
+        ...accountColumns(liability.account_id, account),
+        liability_type: type,
+        current_balance: account != null ? account.balances.current : null,
+        ...currencyOf(account != null ? account.balances : {}),
+        next_payment_due_date: liability.next_payment_due_date,
+        last_payment_amount: liability.last_payment_amount,
+        last_payment_date: liability.last_payment_date,
+        last_statement_balance: liability.last_statement_balance,
+        last_statement_issue_date: liability.last_statement_issue_date,
+        minimum_payment_amount: liability.minimum_payment_amount,
+        origination_principal_amount: liability.origination_principal_amount,
+        maturity_date: liability.maturity_date,
+        is_overdue: liability.is_overdue,
+        ...LIABILITY_FIELDS[type](liability),
+      });
+    });
+  });
+  return records;
+};
+
+const RECORDS = {
+  balances: { columns: BALANCE_COLUMNS, records: balanceRecords },
+  transactions: { columns: TRANSACTION_COLUMNS, records: transactionRecords },
+  holdings: { columns: HOLDING_COLUMNS, records: holdingRecords },
+  liabilities: { columns: LIABILITY_COLUMNS, records: liabilityRecords },
+};
+
+// CSV and NDJSON
+
+// Spreadsheets run cells starting with these as formulas, so text that does
+// is prefixed with a quote.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const csvCell = (value) => {
+  if (value == null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function* csv(columns, records) {
+  yield columns.join(',') + '\r\n';
+  for (const record of records) {
+    yield columns.map((column) => csvCell(record[column])).join(',') + '\r\n';
+  }
+}
+
+function* ndjson(columns, records) {
+  for (const record of records) {
+    const line = {};
+    columns.forEach((column) => {
+      line[column] = record[column] === undefined ? null : record[column];
+    });
+    yield JSON.stringify(line) + '\n';
+  }
+}
+
+// OFX
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// An element, or nothing if it has no value.
+const element = (name, value) =>
+  value == null || value === '' ? '' : `<${name}>${escapeXml(value)}</${name}>`;
+
+const aggregate = (name, ...children) =>
+  `<${name}>${children.join('')}</${name}>`;
+
+const ofxDate = (date) => moment(date, 'YYYY-MM-DD').format('YYYYMMDD');
+
+const ofxDateTime = (date) =>
+  `${moment.utc(date).format('YYYYMMDDHHmmss.SSS')}[0:GMT]`;
+
+// Flip the sign of an amount, without producing -0.
+const negate = (amount) => (amount === 0 ? 0 : -amount);
+
+// Plaid account ids are longer than the 22 characters OFX allows, and ids of
+// accounts on the same Item can share their first 22. A hash of the whole id
+// fits and stays the same from one export to the next.
+const ofxAccountId = (accountId) =>
+  crypto.createHash('sha256').update(accountId).digest('hex').slice(0, 22);
+
+// Used as BANKID when an account's routing number isn't known.
+const UNKNOWN_BANK_ID = '000000000';
+
+const status = () =>
+  aggregate('STATUS', element('CODE', 0), element('SEVERITY', 'INFO'));
+
+const BANK_ACCOUNT_TYPES = {
+  checking: 'CHECKING',
+  savings: 'SAVINGS',
+  'money market': 'MONEYMRKT',
+  cd: 'CD',
+};
+
+// Which OFX statement an account's data goes in, or null for account types
+// OFX statements don't cover.
+const statementKind = (account) => {
+  if (account.type === 'depository') {
+    return 'bank';
+  }
+  if (account.type === 'credit') {
+    return 'creditcard';
+  }
+  if (account.type === 'investment') {
+    return 'investment';
+  }
+  return null;
+};
+
+// Group records into one statement per account and ISO currency, in the
+// order their accounts are listed. Records in unofficial currencies are left
+// out.
+const groupStatements = (accounts, records, kind) => {
+  const statements = [];
+  accounts
+    .filter((account) => statementKind(account) === kind)
+    .forEach((account) => {
+      const byCurrency = {};
+      records
+        .filter(
+          (record) =>
+            record.account_id === account.account_id &&
+            record.iso_currency_code != null,
+        )
+        .forEach((record) => {
+          const currency = record.iso_currency_code;
+          byCurrency[currency] = byCurrency[currency] || [];
+          byCurrency[currency].push(record);
+        });
+      Object.keys(byCurrency).forEach((currency) => {
+        statements.push({ account, currency, records: byCurrency[currency] });
+      });
+    });
+  return statements;
+};
+
+const accountFrom = (kind, account, context) => {
+  if (kind === 'creditcard') {
+    return aggregate(
+      'CCACCTFROM',
+      element('ACCTID', ofxAccountId(account.account_id)),
+    );
+  }
+  if (kind === 'investment') {
+    return aggregate(
+      'INVACCTFROM',
+      element('BROKERID', context.item.institution_id || 'plaid'),
+      element('ACCTID', ofxAccountId(account.account_id)),
+    );
+  }
+  // Plaid only shares routing numbers through Auth, so without it BANKID is
+  // a placeholder.
+  const ach = context.numbers.find(
+    (numbers) => numbers.account_id === account.account_id,
+  );
+  return aggregate(
+    'BANKACCTFROM',
+    element('BANKID', ach != null ? ach.routing : UNKNOWN_BANK_ID),
+    element('ACCTID', ofxAccountId(account.account_id)),
+    element('ACCTTYPE', BANK_ACCOUNT_TYPES[account.subtype] || 'CHECKING'),
+  );
+};
+
+// OFX gives a credit card's ledger balance as what the customer is owed, so
+// an amount owed on the card is negative. Its available balance is the
+// credit left, as in Plaid.
+const ledgerBalance = (kind, account, asOf) => {
+  const { current, available } = account.balances;
+  return (
+    (current != null
+      ? aggregate(
+          'LEDGERBAL',
+          element('BALAMT', kind === 'creditcard' ? negate(current) : current),
+          element('DTASOF', asOf),
+        )
+      : '') +
+    (available != null
+      ? aggregate(
+          'AVAILBAL',
+          element('BALAMT', available),
+          element('DTASOF', asOf),
+        )
+      : '')
+  );
+};
+
+// A bank or credit card statement response wrapping `body`.
+const bankStatement = (kind, account, currency, body, context) =>
+  aggregate(
+    kind === 'creditcard' ? 'CCSTMTTRNRS' : 'STMTTRNRS',
+    element('TRNUID', 0),
+    status(),
+    aggregate(
+      kind === 'creditcard' ? 'CCSTMTRS' : 'STMTRS',
+      element('CURDEF', currency),
+      accountFrom(kind, account, context),
+      body,
+    ),
+  );
+
+const transactionType = (transaction) =>
+  transaction.check_number
+    ? 'CHECK'
+    : transaction.amount > 0
+    ? 'DEBIT'
+    : 'CREDIT';
+
+const statementTransaction = (transaction) =>
+  aggregate(
+    'STMTTRN',
+    element('TRNTYPE', transactionType(transaction)),
+    element('DTPOSTED', ofxDate(transaction.date)),
+    transaction.authorized_date != null
+      ? element('DTUSER', ofxDate(transaction.authorized_date))
+      : '',
+    element('TRNAMT', negate(transaction.amount)),
+    element('FITID', transaction.transaction_id),
+    element('CHECKNUM', transaction.check_number),
+    element(
+      'NAME',
+      (transaction.merchant_name || transaction.name).slice(0, 32),
+    ),
+    element('MEMO', transaction.name),
+  );
+
+// Statements with each account's balances.
+const balanceStatements = (data, kind, context) =>
+  groupStatements(data.accounts, balanceRecords(data), kind).map(
+    ({ account, currency }) =>
+      bankStatement(
+        kind,
+        account,
+        currency,
+        ledgerBalance(kind, account, context.asOf),
+        context,
+      ),
+  );
+
+// Statements with each account's posted transactions and balances. A
+// statement covers the export's date range, or if it has none the dates of
+// its transactions.
+const transactionStatements = (data, kind, context) => {
+  const posted = data.transactions.filter(
+    (transaction) => !transaction.pending,
+  );
+  return groupStatements(data.accounts, posted, kind).map(
+    ({ account, currency, records }) => {
+      const dates = records.map((transaction) => transaction.date).sort();
+      const transactionList = aggregate(
+        'BANKTRANLIST',
+        element('DTSTART', ofxDate(context.filters.startDate || dates[0])),
+        element(
+          'DTEND',
+          ofxDate(context.filters.endDate || dates[dates.length - 1]),
+        ),
+        ...records.map(statementTransaction),
+      );
+      // Balances are only meaningful in the account's own currency.
+      const balances =
+        account.balances.iso_currency_code === currency
+          ? ledgerBalance(kind, account, context.asOf)
+          : '';
+      return bankStatement(
+        kind,
+        account,
+        currency,
+        transactionList + balances,
+        context,
+      );
+    },
+  );
+};
+
+// Plaid security types mapped to OFX position and security aggregates.
+// Cash holdings count towards the account's cash balance instead.
+const positionKind = (security) => {
+  if (security.type === 'equity' || security.type === 'etf') {
+    return 'STOCK';
+  }
+  if (security.type === 'mutual fund') {
+    return 'MF';
+  }
+  return 'OTHER';
+};
+
+// OFX identifies securities by CUSIP. ISIN or Plaid's own id is used when a
+// security has none.
+const securityId = (security) => {
+  if (security.cusip) {
+    return { id: security.cusip, type: 'CUSIP' };
+  }
+  if (security.isin) {
+    return { id: security.isin, type: 'ISIN' };
+  }
+  return { id: security.security_id, type: 'PLAID' };
+};
+
+const secId = (security) => {
+  const { id, type } = securityId(security);
+  return aggregate(
+    'SECID',
+    element('UNIQUEID', id),
+    element('UNIQUEIDTYPE', type),
+  );
+};
+
+const position = (holding, security) =>
+  aggregate(
+    `POS${positionKind(security)}`,
+    aggregate(
+      'INVPOS',
+      secId(security),
+      element('HELDINACCT', 'CASH'),
+      element('POSTYPE', holding.quantity < 0 ? 'SHORT' : 'LONG'),
+      element('UNITS', holding.quantity),
+      element('UNITPRICE', holding.institution_price),
+      element('MKTVAL', holding.institution_value),
+      element(
+        'DTPRICEASOF',
+        holding.institution_price_as_of != null
+          ? ofxDate(holding.institution_price_as_of)
+          : null,
+      ),
+    ),
+  );
+
+const securityInfo = (security) =>
+  aggregate(
+    `${positionKind(security)}INFO`,
+    aggregate(
+      'SECINFO',
+      secId(security),
+      element('SECNAME', (security.name || security.security_id).slice(0, 120)),
+      element('TICKER', security.ticker_symbol),
+    ),
+  );
+
+// An investment statement per account and currency with its positions, and
+// the list of securities they hold.
+const holdingStatements = (data, context) => {
+  const securitiesById = {};
+  data.securities.forEach((security) => {
+    securitiesById[security.security_id] = security;
+  });
+  const held = {};
+  const statements = groupStatements(
+    data.accounts,
+    data.holdings,
+    'investment',
+  ).map(({ account, currency, records }) => {
+    let availableCash = 0;
+    const positions = [];
+    records.forEach((holding) => {
+      const security = securitiesById[holding.security_id] || {
+        security_id: holding.security_id,
+      };
+      if (security.type === 'cash') {
+        availableCash += holding.institution_value;
+        return;
+      }
+      held[security.security_id] = security;
+      positions.push(position(holding, security));
+    });
+    return aggregate(
+      'INVSTMTTRNRS',
+      element('TRNUID', 0),
+      status(),
+      aggregate(
+        'INVSTMTRS',
+        element('DTASOF', context.asOf),
+        element('CURDEF', currency),
+        accountFrom('investment', account, context),
+        aggregate('INVPOSLIST', ...positions),
+        aggregate(
+          'INVBAL',
+          element('AVAILCASH', availableCash),
+          element('MARGINBALANCE', 0),
+          element('SHORTBALANCE', 0),
+        ),
+      ),
+    );
+  });
+  return { statements, securities: Object.values(held) };
+};
+
+function* ofx(dataset, data, context) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n';
+  yield '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n';
+  yield '<OFX>\n';
+  yield aggregate(
+    'SIGNONMSGSRSV1',
+    aggregate(
+      'SONRS',
+      status(),
+      element('DTSERVER', context.asOf),
+      element('LANGUAGE', 'ENG'),
+      aggregate(
+        'FI',
+        element('ORG', context.item.institution_name || 'Plaid'),
+        element('FID', context.item.institution_id),
+      ),
+      element('INTU.BID', context.intuBid),
+    ),
+  ) + '\n';
+
+  if (dataset === 'holdings') {
+    const { statements, securities } = holdingStatements(data, context);
+    yield* messageSet('INVSTMTMSGSRSV1', statements);
+    if (securities.length > 0) {
+      yield aggregate(
+        'SECLISTMSGSRSV1',
+        aggregate('SECLIST', ...securities.map(securityInfo)),
+      ) + '\n';
+    }
+  } else {
+    const statementsFor =
+      dataset === 'transactions' ? transactionStatements : balanceStatements;
+    yield* messageSet('BANKMSGSRSV1', statementsFor(data, 'bank', context));
+    yield* messageSet(
+      'CREDITCARDMSGSRSV1',
+      statementsFor(data, 'creditcard', context),
+    );
+  }
+  yield '</OFX>\n';
+}
+
+// A message set with one statement per line, or nothing if it has none.
+function* messageSet(name, statements) {
+  if (statements.length === 0) {
+    return;
+  }
+  yield `<${name}>\n`;
+  for (const statement of statements) {
+    yield statement + '\n';
+  }
+  yield `</${name}>\n`;
+}
+
+// Build an export of `dataset` in `format`, limited to `filters` (see
+// exportFilters). `data` has the Item's `item` and `accounts` from Plaid's
+// response, along with:
+// - transactions: the Item's `transactions`
+// - holdings: `holdings` and `securities` from /investments/holdings/get
+// - liabilities: `liabilities` from /liabilities/get
+// - optionally for OFX, `numbers` from /auth/get for the routing numbers
+// Options: `intuBid`, the INTU.BID for QFX, and `now`, the export's time.
+// Returns the response's content type and a filename, and its body as an
+// iterable of strings, produced as it is read.
+const createExport = (
+  dataset,
+  format,
+  data,
+  filters,
+  { intuBid = null, now = new Date() } = {},
+) => {
+  const filtered = filterData(data, filters);
+  const { columns, records } = RECORDS[dataset];
+  let body;
+  if (OFX_FORMATS.includes(format)) {
+    body = ofx(dataset, filtered, {
+      item: data.item || {},
+      numbers: data.numbers != null ? data.numbers.ach || [] : [],
+      intuBid: format === 'qfx' ? intuBid : null,
+      filters,
+      asOf: ofxDateTime(now),
+    });
+  } else {
+    body = (format === 'csv' ? csv : ndjson)(columns, records(filtered));
+  }
+  return {
+    contentType: FORMATS[format].contentType,
+    filename: `${dataset}-${moment(now).format('YYYY-MM-DD')}.${
+      FORMATS[format].extension
+    }`,
+    body,
+  };
+};
+
+module.exports = {
+  validateExportRequest,
+  exportFilters,
+  createExport,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+// A stand-in for the Plaid API for trying out failure handling locally. Point
+// the server at it with PLAID_BASE_URL=http://localhost:8100 and start it with
+// `npm run fake-plaid`. Mock mode (lib/mockApi.js) serves its fixtures through
+// the same fake, for Coinflow's API as well as Plaid's.
+//
+// Every endpoint answers with what `respond` returns for the request, by
+// default a canned response ({ request_id }), unless a response has been set
+// for it. Failures can be queued up to be returned instead:
+//
+//   POST   /__fake/failures   { endpoint, count, status, error_type,
+//                              error_code, delay_ms }
+//   DELETE /__fake/failures
+//   POST   /__fake/responses  { endpoint, body }
+//   GET    /__fake/calls      calls received, and the most calls that were
+//                              in flight at once for each access token
+//
+// `endpoint` is a path such as '/accounts/get', or '*' for any.
+// A failure with only `delay_ms` set answers normally but late, to trigger
+// client timeouts.
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+// Send a response given as { status, body } or, for binary responses such as
+// PDFs, { status, content_type, body_base64 }.
+const sendResponse = (response, answer) => {
+  response.status(answer.status || 200);
+  if (answer.body_base64 != null) {
+    response
+      .type(answer.content_type || 'application/octet-stream')
+      .send(Buffer.from(answer.body_base64, 'base64'));
+    return;
+  }
+  response.json(answer.body);
+};
+
+const cannedResponse = () => ({ status: 200, body: { request_id: uuidv4() } });
+
+// `respond(request)` gives the response to a request that no failure or set
+// response applies to.
+const createFakePlaid = ({ respond = cannedResponse } = {}) => {
+  let failures = [];
+  const responses = {};
+  const calls = [];
+  const inFlight = {};
+  const maxConcurrent = {};
+
+  const app = express();
+  app.use(bodyParser.json());
+
+  app.post('/__fake/failures', function (request, response) {
+    const failure = { endpoint: '*', count: 1, ...request.body };
+    failures.push(failure);
+    response.json({ failure });
+  });
+
+  app.delete('/__fake/failures', function (request, response) {
+    failures = [];
+    response.json({ failures });
+  });
+
+  app.post('/__fake/responses', function (request, response) {
+    responses[request.body.endpoint] = request.body.body;
+    response.json({ endpoint: request.body.endpoint });
+  });
+
+  app.get('/__fake/calls', function (request, response) {
+    response.json({ calls, max_concurrent: maxConcurrent });
+  });
+
+  app.all('*', function (request, response, next) {
+    const endpoint = request.path;
+    const accessToken =
+      request.body != null ? request.body.access_token || null : null;
+    calls.push({
+      method: request.method,
+      endpoint,
+      access_token: accessToken,
+      at: Date.now(),
+    });
+
+    const failure = failures.find(
+      (candidate) =>
+        candidate.count > 0 &&
+        (candidate.endpoint === '*' || candidate.endpoint === endpoint),
+    );
+    if (failure != null) {
+      failure.count -= 1;
+    }
+
+    if (accessToken != null) {
+      inFlight[accessToken] = (inFlight[accessToken] || 0) + 1;
+      maxConcurrent[accessToken] = Math.max(
+        maxConcurrent[accessToken] || 0,
+        inFlight[accessToken],
+      );
+    }
+
+    setTimeout(
+      () => {
+        if (accessToken != null) {
+          inFlight[accessToken] -= 1;
+        }
+        if (response.headersSent || request.socket.destroyed) {
+          return;
+        }
+        if (failure != null && failure.error_code != null) {
+          response.status(failure.status || 400).json({
+            error_type: failure.error_type || 'API_ERROR',
+            error_code: failure.error_code,
+            error_message: `Simulated ${failure.error_code}`,
+            display_message: null,
+            request_id: uuidv4(),
+          });
+          return;
+        }
+        if (responses[endpoint] != null) {
+          response.json({ ...responses[endpoint], request_id: uuidv4() });
+          return;
+        }
+        try {
+          sendResponse(response, respond(request));
+        } catch (error) {
+          next(error);
+        }
+      },
+      failure != null ? failure.delay_ms || 0 : 0,
+    );
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = process.env.FAKE_PLAID_PORT || 8100;
+  createFakePlaid().listen(port, function () {
+    logger.info('Fake Plaid listening', { port });
+  });
+}
+
+module.exports = { createFakePlaid };
@@ -0,0 +1,387 @@
+'use strict';
+
+// Account ownership checks: how well the name, email address, phone number
+// and address our user claims match what the bank has on file for the
+// account owners, scored 0 (no match) to 100 per field, and whether each
+// account passes our thresholds.
+//
+// Scores come from Plaid Identity Match where it is enabled. Otherwise the
+// owners returned by /identity/get are scored here with a simpler fuzzy
+// match, which is good enough to catch typos and formatting differences but
+// not nicknames or maiden names.
+// https://plaid.com/docs/api/products/identity/#identitymatch
+
+const fs = require('fs');
+
+const FIELDS = ['legal_name', 'email_address', 'phone_number', 'address'];
+const ADDRESS_FIELDS = ['street', 'city', 'region', 'postal_code', 'country'];
+
+// A field passes when its score reaches its threshold. Plaid suggests 70 as
+// a starting point for every field; raise one to be stricter about it.
+const DEFAULT_MATCH_THRESHOLDS = {
+  legal_name: 70,
+  email_address: 70,
+  phone_number: 70,
+  address: 70,
+};
+
+// Plaid error codes meaning Identity Match isn't available to us for this
+// Item, so the local match is used instead.
+const FALLBACK_ERROR_CODES = [
+  'INVALID_PRODUCT',
+  'PRODUCTS_NOT_SUPPORTED',
+  'PRODUCT_NOT_ENABLED',
+];
+
+const isThreshold = (value) =>
+  typeof value === 'number' && value >= 0 && value <= 100;
+
+// Read thresholds from a JSON file such as {"legal_name": 80}, with anything
+// it leaves out taken from DEFAULT_MATCH_THRESHOLDS. Throws if the file can't
+// be read or a threshold is out of range, so that it is caught at startup.
+const loadMatchThresholds = (filePath) => {
+  if (!filePath) {
+    return DEFAULT_MATCH_THRESHOLDS;
+  }
+  const thresholds = {
+    ...DEFAULT_MATCH_THRESHOLDS,
+    ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+  };
+  FIELDS.forEach((field) => {
+    if (!isThreshold(thresholds[field])) {
+      throw new Error(`${filePath}: ${field} threshold must be 0-100`);
+    }
+  });
+  return thresholds;
+};
+
+// Returns a list of problems with a match request body, empty if it is
+// valid. At least one of the fields must be given.
+const validateMatchRequest = (body) => {
+  const errors = [];
+  const supplied = FIELDS.filter((field) => body[field] != null);
+  if (supplied.length === 0) {
+    errors.push(`one of ${FIELDS.join(', ')} is required`);
+  }
+  if (
+    body.legal_name != null &&
+    (typeof body.legal_name !== 'string' || body.legal_name.trim() === '')
+  ) {
+    errors.push('legal_name must be a non-empty string');
+  }
+  if (
+    body.email_address != null &&
+    !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email_address)
+  ) {
+    errors.push('email_address must be a valid email address');
+  }
+  if (
+    body.phone_number != null &&
+    !/^\+?[\d\s().-]{7,20}$/.test(body.phone_number)
+  ) {
+    errors.push('phone_number must be a phone number such as +1 415-555-0123');
+  }
+  if (body.address != null) {
+    if (typeof body.address !== 'object' || Array.isArray(body.address)) {
+      errors.push(
+        `address must be an object with ${ADDRESS_FIELDS.join(', ')}`,
+      );
+    } else if (
+      body.address.street == null ||
+      String(body.address.street).trim() === ''
+    ) {
+      errors.push('address.street is required');
+    }
+  }
+  return errors;
+};
+
+// The claimed details in the shape /identity/match expects.
+const matchUser = (body) => {
+  const user = {};
+  ['legal_name', 'email_address', 'phone_number'].forEach((field) => {
+    if (body[field] != null) {
+      user[field] = String(body[field]).trim();
+    }
+  });
+  if (body.address != null) {
+    user.address = {};
+    ADDRESS_FIELDS.forEach((field) => {
+      if (body.address[field] != null) {
+        user.address[field] = String(body.address[field]).trim();
+      }
+    });
+  }
+  return user;
+};
+
+const normalizeText = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Similarity of two strings from 0 to 1: one less their edit distance as a
+// share of the longer string.
+const similarity = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+const toScore = (value) => Math.round(value * 100);
+
+const NAME_AFFIXES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'jr', 'sr', 'ii', 'iii'];
+
+const nameTokens = (name) =>
+  normalizeText(name)
+    .split(' ')
+    .filter((token) => token !== '' && !NAME_AFFIXES.includes(token));
+
+// Names are compared with their words sorted, so "Charleson, Alberta" matches
+// "Alberta Charleson". A missing middle name costs less than a wrong one: the
+// claimed name is also compared with just the owner's first and last names.
+const scoreName = (claimed, owner) => {
+  const claimedTokens = nameTokens(claimed);
+  const ownerTokens = nameTokens(owner);
+  const sorted = (tokens) => tokens.slice().sort().join(' ');
+  const firstAndLast = (tokens) =>
+    tokens.length > 2 ? [tokens[0], tokens[tokens.length - 1]] : tokens;
+  const score = toScore(
+    Math.max(
+      similarity(sorted(claimedTokens), sorted(ownerTokens)),
+      similarity(
+        sorted(firstAndLast(claimedTokens)),
+        sorted(firstAndLast(ownerTokens)),
+      ),
+    ),
+  );
+  return {
+    score,
+    is_first_name_or_last_name_match:
+      claimedTokens.length > 0 &&
+      ownerTokens.length > 0 &&
+      (claimedTokens[0] === ownerTokens[0] ||
+        claimedTokens[claimedTokens.length - 1] ===
+          ownerTokens[ownerTokens.length - 1]),
+  };
+};
+
+const scoreEmail = (claimed, owner) => ({
+  score: toScore(
+    similarity(claimed.trim().toLowerCase(), owner.trim().toLowerCase()),
+  ),
+});
+
+// Phone numbers are compared on their last 10 digits, so a missing country
+// code or different punctuation doesn't count against them.
+const scorePhone = (claimed, owner) => {
+  const digits = (phone) => String(phone).replace(/\D/g, '').slice(-10);
+  return { score: toScore(similarity(digits(claimed), digits(owner))) };
+};
+
+const STREET_ABBREVIATIONS = {
+  street: 'st',
+  road: 'rd',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  drive: 'dr',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  terrace: 'ter',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  circle: 'cir',
+  apartment: 'apt',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+};
+
+const normalizeStreet = (street) =>
+  normalizeText(street)
+    .split(' ')
+    .map((token) => STREET_ABBREVIATIONS[token] || token)
+    .join(' ');
+
+// The street counts for most of an address's score; the city, region and
+// postal code that are given share the rest. Postal codes are compared on
+// their first 5 characters, so ZIP+4 matches a plain ZIP.
+const scoreAddress = (claimed, owner) => {
+  const parts = [
+    [
+      0.6,
+      similarity(
+        normalizeStreet(claimed.street),
+        normalizeStreet(owner.street || ''),
+      ),
+    ],
+  ];
+  const postalCode = (code) =>
+    normalizeText(code).replace(/ /g, '').slice(0, 5);
+  const isPostalCodeMatch =
+    claimed.postal_code != null && owner.postal_code != null
+      ? postalCode(claimed.postal_code) === postalCode(owner.postal_code)
+      : null;
+  if (claimed.city != null) {
+    parts.push([
+      0.15,
+      similarity(normalizeText(claimed.city), normalizeText(owner.city || '')),
+    ]);
+  }
+  if (claimed.region != null) {
+    parts.push([
+      0.1,
+      normalizeText(claimed.region) === normalizeText(owner.region || '')
+        ? 1
+        : 0,
+    ]);
+  }
+  if (isPostalCodeMatch != null) {
+    parts.push([0.15, isPostalCodeMatch ? 1 : 0]);
+  }
+  const weight = parts.reduce((sum, [partWeight]) => sum + partWeight, 0);
+  const total = parts.reduce(
+    (sum, [partWeight, value]) => sum + partWeight * value,
+    0,
+  );
+  return {
+    score: toScore(total / weight),
+    is_postal_code_match: isPostalCodeMatch,
+  };
+};
+
+// The best-scoring of `candidates`, or a null score if the bank has none on
+// file. `defaults` fills in the flags that come with a null score.
+const bestMatch = (candidates, scoreFn, defaults = {}) =>
+  candidates.reduce(
+    (best, candidate) => {
+      const match = scoreFn(candidate);
+      return best.score == null || match.score > best.score ? match : best;
+    },
+    { score: null, ...defaults },
+  );
+
+// Score the claimed details against every owner of an account, keeping the
+// best score for each field. The result has the shape of an /identity/match
+// account.
+const localAccountMatch = (user, account) => {
+  const owners = account.owners || [];
+  const values = (list) =>
+    owners.reduce((all, owner) => all.concat(owner[list] || []), []);
+  const result = { account_id: account.account_id };
+  if (user.legal_name != null) {
+    result.legal_name = bestMatch(
+      values('names'),
+      (name) => scoreName(user.legal_name, name),
+      { is_first_name_or_last_name_match: null },
+    );
+  }
+  if (user.email_address != null) {
+    result.email_address = bestMatch(values('emails'), (email) =>
+      scoreEmail(user.email_address, email.data),
+    );
+  }
+  if (user.phone_number != null) {
+    result.phone_number = bestMatch(values('phone_numbers'), (phone) =>
+      scorePhone(user.phone_number, phone.data),
+    );
+  }
+  if (user.address != null) {
+    result.address = bestMatch(
+      values('addresses'),
+      (address) => scoreAddress(user.address, address.data),
+      { is_postal_code_match: null },
+    );
+  }
+  return result;
+};
+
+// Judge an account's scores against the thresholds. A field that was claimed
+// but has no score (the bank has nothing on file for it) fails.
+const applyThresholds = (thresholds, user, account) => {
+  const reasons = [];
+  FIELDS.filter((field) => user[field] != null).forEach((field) => {
+    const score = account[field] != null ? account[field].score : null;
+    if (score == null) {
+      reasons.push(`${field}: no ${field} on file`);
+    } else if (score < thresholds[field]) {
+      reasons.push(`${field}: score ${score} < ${thresholds[field]}`);
+    }
+  });
+  return { ...account, passed: reasons.length === 0, reasons };
+};
+
+// Match the claimed details in `body` against the owners of an Item's
+// accounts, or just `accountId` if given. Returns which method scored them
+// (`identity_match` or `local`), the thresholds used, each account's scores
+// and verdict, and `passed` if any account passed on every claimed field.
+const matchIdentity = async (client, thresholds, item, body, accountId) => {
+  const user = matchUser(body);
+  const options = accountId != null ? { account_ids: [accountId] } : undefined;
+  let method = 'identity_match';
+  let accounts;
+  try {
+    const matchResponse = await client.identityMatch({
+      access_token: item.access_token,
+      user,
+      options,
+    });
+    accounts = matchResponse.data.accounts.map((account) => {
+      const result = { account_id: account.account_id };
+      FIELDS.filter((field) => user[field] != null).forEach((field) => {
+        result[field] = account[field] || { score: null };
+      });
+      return result;
+    });
+  } catch (error) {
+    const data = error.response && error.response.data;
+    if (data == null || !FALLBACK_ERROR_CODES.includes(data.error_code)) {
+      throw error;
+    }
+    method = 'local';
+    const identityResponse = await client.identityGet({
+      access_token: item.access_token,
+      options,
+    });
+    accounts = identityResponse.data.accounts.map((account) =>
+      localAccountMatch(user, account),
+    );
+  }
+  const results = accounts.map((account) =>
+    applyThresholds(thresholds, user, account),
+  );
+  return {
+    method,
+    thresholds,
+    passed: results.some((account) => account.passed),
+    accounts: results,
+  };
+};
+
+module.exports = {
+  DEFAULT_MATCH_THRESHOLDS,
+  loadMatchThresholds,
+  validateMatchRequest,
+  matchIdentity,
+};
@@ -0,0 +1,226 @@
+'use strict';
+
+// Bank Income: income verified from the deposits in the accounts a user links
+// through an income_verification link token. Unlike other products, income
+// belongs to a Plaid user rather than an Item: each of our users gets a Plaid
+// user (/user/create) whose user_token is kept on their user record and used
+// for Link and for fetching and refreshing their Bank Income Report.
+//
+// The report is normalized into income streams: one per income source, with
+// its employer (or payer), pay frequency, estimated monthly amount and how
+// much to trust that estimate.
+// https://plaid.com/docs/income/bank-income/
+
+const moment = require('moment');
+
+// Bank Income looks back at most 731 days.
+const MAX_DAYS_REQUESTED = 731;
+const DEFAULT_DAYS_REQUESTED = 90;
+
+// Payments per month for each Plaid pay frequency. UNKNOWN isn't listed: the
+// monthly amount of an irregular source is averaged over the report instead.
+const PAYMENTS_PER_MONTH = {
+  DAILY: 365 / 12,
+  WEEKLY: 52 / 12,
+  BIWEEKLY: 26 / 12,
+  SEMI_MONTHLY: 2,
+  MONTHLY: 1,
+};
+
+// Status of a user's report, from the INCOME and BANK_INCOME_REFRESH webhooks.
+const INCOME_STATUSES = {
+  VERIFICATION_STATUS_PROCESSING_COMPLETE: 'ready',
+  VERIFICATION_STATUS_PROCESSING_FAILED: 'failed',
+  VERIFICATION_STATUS_PENDING_APPROVAL: 'pending',
+  SUCCESS: 'ready',
+  FAILURE: 'failed',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const validateDaysRequested = (days) => {
+  if (days == null) {
+    return [];
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_REQUESTED) {
+    return [
+      `days_requested must be a whole number from 1 to ${MAX_DAYS_REQUESTED}`,
+    ];
+  }
+  return [];
+};
+
+// Create the user's Plaid user, unless they already have one. Returns their
+// user record.
+// https://plaid.com/docs/api/users/#usercreate
+const ensurePlaidUser = async (client, store, userId) => {
+  const user = store.ensureUser(userId);
+  if (user.plaid_user_token != null) {
+    return user;
+  }
+  const userResponse = await client.userCreate({ client_user_id: userId });
+  return store.updateUser(userId, {
+    plaid_user_id: userResponse.data.user_id,
+    plaid_user_token: userResponse.data.user_token,
+    bank_income_status: null,
+  });
+};
+
+// Record the status a webhook reports for the Plaid user `plaidUserId`. A
+// result we don't know leaves the status as it was.
+const markIncomeStatus = (store, plaidUserId, result) => {
+  const user = store
+    .list('users', (candidate) => candidate.plaid_user_id === plaidUserId)
+    .pop();
+  if (user == null) {
+    return null;
+  }
+  if (INCOME_STATUSES[result] == null) {
+    return user;
+  }
+  return store.updateUser(user.user_id, {
+    bank_income_status: INCOME_STATUSES[result],
+  });
+};
+
+// The currency of a source's amounts, from its monthly summaries.
+const sourceCurrency = (source) => {
+  const summary = (source.historical_summary || [])[0];
+  if (summary == null) {
+    return null;
+  }
+  const amounts = summary.total_amounts || [];
+  if (amounts.length > 0) {
+    return amounts[0].iso_currency_code || amounts[0].unofficial_currency_code;
+  }
+  return summary.iso_currency_code || summary.unofficial_currency_code || null;
+};
+
+// A source's typical monthly income: its average payment times the payments
+// per month at its frequency, or for irregular sources its total spread over
+// the months the report covers.
+const monthlyAmount = (source, daysRequested) => {
+  const total = source.total_amount || 0;
+  const perMonth = PAYMENTS_PER_MONTH[source.pay_frequency];
+  if (perMonth != null && source.transaction_count > 0) {
+    return round((total / source.transaction_count) * perMonth);
+  }
+  const months = (daysRequested || DEFAULT_DAYS_REQUESTED) / (365 / 12);
+  return round(total / Math.max(months, 1));
+};
+
+// How far to trust a source's monthly amount. It is 'high' when the source
+// has a regular pay frequency, at least three deposits, and a deposit within
+// two pay periods of the report (45 days if irregular); 'medium' when it meets
+// two of these and 'low' otherwise. `reasons` lists what it fell short on.
+const sourceConfidence = (source, generatedTime) => {
+  const reasons = [];
+  const perMonth = PAYMENTS_PER_MONTH[source.pay_frequency];
+  if (perMonth == null) {
+    reasons.push('no regular pay frequency');
+  }
+  const deposits = source.transaction_count || 0;
+  if (deposits < 3) {
+    reasons.push(`only ${deposits} deposit${deposits === 1 ? '' : 's'}`);
+  }
+  const maxGapDays = perMonth != null ? Math.ceil((2 * 30.4) / perMonth) : 45;
+  const sinceLast = moment(generatedTime).diff(moment(source.end_date), 'days');
+  if (source.end_date == null || sinceLast > maxGapDays) {
+    reasons.push(
+      source.end_date != null
+        ? `no deposit since ${source.end_date}`
+        : 'no deposit dates',
+    );
+  }
+  const level =
+    reasons.length === 0 ? 'high' : reasons.length === 1 ? 'medium' : 'low';
+  return { level, reasons };
+};
+
+// Normalize a Bank Income Report into income streams and the total monthly
+// income per currency.
+const summarizeBankIncome = (report) => {
+  const streams = [];
+  (report.items || []).forEach((item) => {
+    (item.bank_income_sources || []).forEach((source) => {
+      const confidence = sourceConfidence(source, report.generated_time);
+      streams.push({
+        income_source_id: source.income_source_id,
+        item_id: item.item_id,
+        institution_name: item.institution_name,
+        account_id: source.account_id,
+        employer: source.income_description,
+        category: source.income_category,
+        frequency: (source.pay_frequency || 'UNKNOWN').toLowerCase(),
+        monthly_amount: monthlyAmount(source, report.days_requested),
+        iso_currency_code: sourceCurrency(source),
+        confidence: confidence.level,
+        confidence_reasons: confidence.reasons,
+        start_date: source.start_date,
+        end_date: source.end_date,
+        transaction_count: source.transaction_count,
+        total_amount: source.total_amount,
+      });
+    });
+  });
+  const totals = new Map();
+  streams.forEach((stream) => {
+    totals.set(
+      stream.iso_currency_code,
+      (totals.get(stream.iso_currency_code) || 0) + stream.monthly_amount,
+    );
+  });
+  return {
+    bank_income_id: report.bank_income_id,
+    generated_time: report.generated_time,
+    days_requested: report.days_requested,
+    streams,
+    monthly_income: Array.from(totals.entries()).map(([currency, amount]) => ({
+      iso_currency_code: currency,
+      monthly_amount: round(amount),
+    })),
+    warnings: report.warnings || [],
+  };
+};
+
+// Fetch the user's most recent Bank Income Report, normalized. Returns null
+// if they haven't shared any income yet.
+// https://plaid.com/docs/api/products/income/#creditbank_incomeget
+const getBankIncome = async (client, user) => {
+  const incomeResponse = await client.creditBankIncomeGet({
+    user_token: user.plaid_user_token,
+    options: { count: 1 },
+  });
+  const reports = incomeResponse.data.bank_income || [];
+  return reports.length > 0 ? summarizeBankIncome(reports[0]) : null;
+};
+
+// Ask Plaid to regenerate the user's report with fresh data, over
+// `daysRequested` days or as many as last time. The
+// BANK_INCOME_REFRESH_COMPLETE webhook reports when it is ready.
+// https://plaid.com/docs/api/products/income/#creditbank_incomerefresh
+const refreshBankIncome = async (client, store, user, daysRequested) => {
+  await client.creditBankIncomeRefresh({
+    user_token: user.plaid_user_token,
+    options: daysRequested != null ? { days_requested: daysRequested } : {},
+  });
+  return store.updateUser(user.user_id, { bank_income_status: 'refreshing' });
+};
+
+// What the API shows of a user's income setup. The user_token stays on the
+// server.
+const publicIncomeUser = (user) => ({
+  plaid_user_id: user.plaid_user_id,
+  status: user.bank_income_status || null,
+});
+
+module.exports = {
+  DEFAULT_DAYS_REQUESTED,
+  validateDaysRequested,
+  ensurePlaidUser,
+  markIncomeStatus,
+  summarizeBankIncome,
+  getBankIncome,
+  refreshBankIncome,
+  publicIncomeUser,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+// /investments/transactions/get returns at most 500 transactions per call.
+// https://plaid.com/docs/api/products/investments/#investmentstransactionsget
+const PAGE_SIZE = 500;
+
+// Fetch every investment transaction between startDate and endDate, following
+// offset pagination until total_investment_transactions have been read. Each
+// transaction is returned with its `security` record attached (null for cash
+// transactions, which have no security_id).
+const getInvestmentTransactions = async (
+  client,
+  accessToken,
+  startDate,
+  endDate,
+) => {
+  let investmentTransactions = [];
+  const accounts = {};
+  const securities = {};
+  let total = null;
+
+  while (total == null || investmentTransactions.length < total) {
+    const investmentsResponse = await client.investmentsTransactionsGet({
+      access_token: accessToken,
+      start_date: startDate,
+      end_date: endDate,
+      options: {
+        count: PAGE_SIZE,
+        offset: investmentTransactions.length,
+      },
+    });
+    const data = investmentsResponse.data;
+    data.accounts.forEach((account) => {
+      accounts[account.account_id] = account;
+    });
+    data.securities.forEach((security) => {
+      securities[security.security_id] = security;
+    });
+    investmentTransactions = investmentTransactions.concat(
+      data.investment_transactions,
+    );
+    total = data.total_investment_transactions;
+    // Guard against the total shrinking while we page.
+    if (data.investment_transactions.length === 0) {
+      break;
+    }
+  }
+
+  return {
+    accounts: Object.values(accounts),
+    securities: Object.values(securities),
+    investment_transactions: investmentTransactions.map((transaction) => ({
+      ...transaction,
+      security:
+        transaction.security_id != null
+          ? securities[transaction.security_id] || null
+          : null,
+    })),
+    total_investment_transactions: investmentTransactions.length,
+  };
+};
+
+module.exports = { getInvestmentTransactions };
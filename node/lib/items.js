@@ -0,0 +1,120 @@
+'use strict';
+
+// Item lifecycle: checking whether an Item still works, rotating its access
+// token and removing it. Items that have broken (expired credentials, revoked
+// consent) are repaired by relaunching Link in update mode with the Item's
+// access token.
+// https://plaid.com/docs/link/update-mode/
+
+const { removeTransactions } = require('./transactions');
+
+// Error codes that update mode can fix.
+const UPDATE_MODE_ERROR_CODES = [
+  'ITEM_LOGIN_REQUIRED',
+  'ACCESS_NOT_GRANTED',
+  'NO_ACCOUNTS',
+  'ADDITIONAL_CONSENT_REQUIRED',
+];
+
+// Send the user through update mode this long before consent expires.
+const CONSENT_EXPIRATION_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Summarize an /item/get response: whether the Item needs update mode and
+// why, when its consent expires, and when each product last updated.
+// https://plaid.com/docs/api/items/#itemget
+const itemStatus = (itemGetData) => {
+  const item = itemGetData.item;
+  const status = itemGetData.status || {};
+  const consentExpiresAt = item.consent_expiration_time
+    ? Date.parse(item.consent_expiration_time)
+    : null;
+  const daysUntilConsentExpiration =
+    consentExpiresAt != null
+      ? Math.floor((consentExpiresAt - Date.now()) / DAY_MS)
+      : null;
+
+  let updateReason = null;
+  if (
+    item.error != null &&
+    UPDATE_MODE_ERROR_CODES.includes(item.error.error_code)
+  ) {
+    updateReason = item.error.error_code;
+  } else if (
+    daysUntilConsentExpiration != null &&
+    daysUntilConsentExpiration <= CONSENT_EXPIRATION_WARNING_DAYS
+  ) {
+    updateReason = 'CONSENT_EXPIRING';
+  }
+
+  const productStatus = (entry) =>
+    entry != null
+      ? {
+          last_successful_update: entry.last_successful_update || null,
+          last_failed_update: entry.last_failed_update || null,
+        }
+      : null;
+
+  return {
+    item_id: item.item_id,
+    institution_id: item.institution_id || null,
+    error: item.error,
+    needs_update_mode: updateReason != null,
+    update_reason: updateReason,
+    consent_expiration_time: item.consent_expiration_time,
+    days_until_consent_expiration: daysUntilConsentExpiration,
+    update_type: item.update_type,
+    consented_products: item.consented_products || [],
+    transactions: productStatus(status.transactions),
+    investments: productStatus(status.investments),
+    last_webhook: status.last_webhook || null,
+  };
+};
+
+// Fetch an Item's status from Plaid and record its error and consent
+// expiration locally, so that a repaired Item stops being reported as broken.
+const refreshItemStatus = async (client, store, item) => {
+  const itemResponse = await client.itemGet({
+    access_token: item.access_token,
+  });
+  const status = itemStatus(itemResponse.data);
+  store.updateItem(item.item_id, {
+    error: status.error,
+    consent_expiration_time: status.consent_expiration_time,
+    status_checked_at: new Date().toISOString(),
+  });
+  return status;
+};
+
+// Replace an Item's access token with a new one. The old token stops
+// working immediately.
+// https://plaid.com/docs/api/items/#itemaccess_tokeninvalidate
+const rotateAccessToken = async (client, store, item) => {
+  const invalidateResponse = await client.itemAccessTokenInvalidate({
+    access_token: item.access_token,
+  });
+  return store.updateItem(item.item_id, {
+    access_token: invalidateResponse.data.new_access_token,
+    access_token_rotated_at: new Date().toISOString(),
+  });
+};
+
+// Remove an Item at Plaid, then forget it and its transactions locally.
+// Transfers, payments and other records that reference it are kept as
+// history.
+// https://plaid.com/docs/api/items/#itemremove
+const removeItem = async (client, store, item) => {
+  await client.itemRemove({ access_token: item.access_token });
+  store.batch(() => {
+    removeTransactions(store, item.item_id);
+    store.removeItem(item.item_id);
+  });
+};
+
+module.exports = {
+  itemStatus,
+  refreshItemStatus,
+  rotateAccessToken,
+  removeItem,
+};
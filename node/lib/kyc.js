@@ -0,0 +1,183 @@
+'use strict';
+
+// Customer (KYC) details for registering a bank account with Coinflow. Any
+// details the caller doesn't supply are filled in from the account owner data
+// Plaid Identity has on file, and the result is validated field by field.
+
+const CUSTOMER_FIELDS = [
+  'email',
+  'first_name',
+  'last_name',
+  'address1',
+  'city',
+  'state',
+  'zip',
+];
+
+const US_STATES = {
+  AL: 'Alabama',
+  AK: 'Alaska',
+  AZ: 'Arizona',
+  AR: 'Arkansas',
+  CA: 'California',
+  CO: 'Colorado',
+  CT: 'Connecticut',
+  DE: 'Delaware',
+  DC: 'District of Columbia',
+  FL: 'Florida',
+  GA: 'Georgia',
+  HI: 'Hawaii',
+  ID: 'Idaho',
+  IL: 'Illinois',
+  IN: 'Indiana',
+  IA: 'Iowa',
+  KS: 'Kansas',
+  KY: 'Kentucky',
+  LA: 'Louisiana',
+  ME: 'Maine',
+  MD: 'Maryland',
+  MA: 'Massachusetts',
+  MI: 'Michigan',
+  MN: 'Minnesota',
+  MS: 'Mississippi',
+  MO: 'Missouri',
+  MT: 'Montana',
+  NE: 'Nebraska',
+  NV: 'Nevada',
+  NH: 'New Hampshire',
+  NJ: 'New Jersey',
+  NM: 'New Mexico',
+  NY: 'New York',
+  NC: 'North Carolina',
+  ND: 'North Dakota',
+  OH: 'Ohio',
+  OK: 'Oklahoma',
+  OR: 'Oregon',
+  PA: 'Pennsylvania',
+  RI: 'Rhode Island',
+  SC: 'South Carolina',
+  SD: 'South Dakota',
+  TN: 'Tennessee',
+  TX: 'Texas',
+  UT: 'Utah',
+  VT: 'Vermont',
+  VA: 'Virginia',
+  WA: 'Washington',
+  WV: 'West Virginia',
+  WI: 'Wisconsin',
+  WY: 'Wyoming',
+  PR: 'Puerto Rico',
+  GU: 'Guam',
+  VI: 'U.S. Virgin Islands',
+  AS: 'American Samoa',
+  MP: 'Northern Mariana Islands',
+};
+
+// Accept either a two letter code or a full state name, in any case.
+const normalizeState = (state) => {
+  const value = String(state).trim();
+  if (US_STATES[value.toUpperCase()] != null) {
+    return value.toUpperCase();
+  }
+  const code = Object.keys(US_STATES).find(
+    (key) => US_STATES[key].toLowerCase() === value.toLowerCase(),
+  );
+  return code || value;
+};
+
+const primaryOrFirst = (entries = []) =>
+  entries.find((entry) => entry.primary) || entries[0] || null;
+
+// Map a Plaid Identity owner onto customer fields.
+// https://plaid.com/docs/api/products/identity/#identity-get-response-accounts-owners
+const customerFromOwner = (owner) => {
+  if (owner == null) {
+    return {};
+  }
+  const customer = {};
+  const nameParts = (owner.names[0] || '').trim().split(/\s+/);
+  if (nameParts.length > 1) {
+    customer.first_name = nameParts[0];
+    customer.last_name = nameParts[nameParts.length - 1];
+  }
+  const email = primaryOrFirst(owner.emails);
+  if (email != null) {
+    customer.email = email.data;
+  }
+  const address = primaryOrFirst(owner.addresses);
+  if (address != null) {
+    customer.address1 = address.data.street;
+    customer.city = address.data.city;
+    customer.state = address.data.region;
+    customer.zip = address.data.postal_code;
+  }
+  return customer;
+};
+
+// Supplied fields win over prefilled ones; blank strings count as missing.
+const mergeCustomer = (supplied = {}, prefill = {}) => {
+  const customer = {};
+  CUSTOMER_FIELDS.forEach((field) => {
+    const value =
+      supplied[field] != null && String(supplied[field]).trim() !== ''
+        ? supplied[field]
+        : prefill[field];
+    if (value != null) {
+      customer[field] = String(value).trim();
+    }
+  });
+  if (customer.state != null) {
+    customer.state = normalizeState(customer.state);
+  }
+  return customer;
+};
+
+const missingFields = (customer) =>
+  CUSTOMER_FIELDS.filter((field) => customer[field] == null);
+
+// Returns an object mapping each invalid field to a message, empty if the
+// customer is valid.
+const validateCustomer = (customer) => {
+  const errors = {};
+  missingFields(customer).forEach((field) => {
+    errors[field] = `${field} is required`;
+  });
+  if (
+    customer.email != null &&
+    !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)
+  ) {
+    errors.email = 'email must be a valid email address';
+  }
+  if (customer.state != null && US_STATES[customer.state] == null) {
+    errors.state = 'state must be a US state or territory, e.g. NY';
+  }
+  if (customer.zip != null && !/^\d{5}(-\d{4})?$/.test(customer.zip)) {
+    errors.zip = 'zip must be a 5 digit or ZIP+4 code';
+  }
+  ['first_name', 'last_name', 'address1', 'city'].forEach((field) => {
+    if (customer[field] != null && customer[field].length > 100) {
+      errors[field] = `${field} must be at most 100 characters`;
+    }
+  });
+  return errors;
+};
+
+// The customer fields in the shape Coinflow's bankAccount endpoint expects.
+const coinflowCustomer = (customer) => ({
+  email: customer.email,
+  firstName: customer.first_name,
+  lastName: customer.last_name,
+  address1: customer.address1,
+  city: customer.city,
+  state: customer.state,
+  zip: customer.zip,
+});
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  customerFromOwner,
+  mergeCustomer,
+  missingFields,
+  validateCustomer,
+  coinflowCustomer,
+};
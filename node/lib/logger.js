@@ -0,0 +1,206 @@
+'use strict';
+
+// Structured logging. Each entry is written to stdout as one line of JSON
+// with a time, level and message, the fields passed with it and those of the
+// request it belongs to (see withContext), so that every line logged while
+// handling a request carries its correlation id.
+//
+// Everything logged goes through `redact` first. It removes tokens, secrets
+// and customer data by field name (access tokens, account and routing
+// numbers, SSNs, emails, addresses, names and phone numbers) and catches
+// tokens, JWTs, SSNs and emails that turn up in other strings by their shape.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Field names are compared lowercased with separators removed, so that
+// `account_number`, `accountNumber` and `AccountNumber` are treated alike.
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isSecretKey = (key) =>
+  /(token|secret|jwt|password|signedmessage)$/.test(key) ||
+  key === 'authorization' ||
+  key === 'plaidclientid';
+
+// Account-like numbers keep their last four digits so they can still be told
+// apart.
+const ACCOUNT_NUMBER_KEYS = [
+  'account',
+  'accountnumber',
+  'routing',
+  'routingnumber',
+  'wirerouting',
+  'iban',
+  'bic',
+  'sortcode',
+  'bacs',
+];
+
+const PII_KEYS = [
+  'ssn',
+  'ssnlast4',
+  'taxid',
+  'dateofbirth',
+  'dob',
+  'email',
+  'emails',
+  'emailaddress',
+  'address',
+  'addresses',
+  'address1',
+  'address2',
+  'street',
+  'postalcode',
+  'zip',
+  'names',
+  'legalname',
+  'firstname',
+  'lastname',
+  'familyname',
+  'givenname',
+  'phonenumber',
+  'phonenumbers',
+];
+
+const VALUE_PATTERNS = [
+  [
+    /\b(access|public|link|processor)-(sandbox|development|production)-[\w-]+/g,
+    '[REDACTED_TOKEN]',
+  ],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[REDACTED_JWT]'],
+  [/\b\d{3}-\d{2}-\d{4}\b/g, '[REDACTED_SSN]'],
+  [/[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi, '[REDACTED_EMAIL]'],
+];
+
+const redactString = (value) =>
+  VALUE_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value,
+  );
+
+const maskAccountNumber = (value) => {
+  const digits = String(value);
+  return digits.length > 4 ? `****${digits.slice(-4)}` : '****';
+};
+
+// Errors are reduced to what's useful and safe: for failed Plaid calls that's
+// Plaid's error and request_id, never the request config (which holds our
+// API keys).
+const serializeError = (error) => {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack,
+  };
+  if (error.response != null) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+  // Coinflow errors carry Coinflow's response as `body`. body-parser errors
+  // carry the raw request instead, which is left out.
+  if (error.body !== undefined && error.expose == null) {
+    serialized.body = error.body;
+  }
+  return serialized;
+};
+
+// Return a copy of `value` with sensitive data removed. `ancestors` holds the
+// objects being copied above this one, so that cycles are cut short while an
+// object that merely appears twice is copied both times.
+const redact = (value, key = '', ancestors = new WeakSet()) => {
+  const normalized = normalizeKey(key);
+  if (value == null) {
+    return value;
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (isSecretKey(normalized)) {
+      return REDACTED;
+    }
+    if (ACCOUNT_NUMBER_KEYS.includes(normalized)) {
+      return maskAccountNumber(value);
+    }
+    if (PII_KEYS.includes(normalized)) {
+      return REDACTED;
+    }
+    return typeof value === 'string' ? redactString(value) : value;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (isSecretKey(normalized) || PII_KEYS.includes(normalized)) {
+    return REDACTED;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  ancestors.add(value);
+  try {
+    if (value instanceof Error) {
+      return redact(serializeError(value), key, ancestors);
+    }
+    if (Array.isArray(value)) {
+      return value.map((entry) => redact(entry, key, ancestors));
+    }
+    const result = {};
+    Object.keys(value).forEach((field) => {
+      result[field] = redact(value[field], field, ancestors);
+    });
+    return result;
+  } finally {
+    ancestors.delete(value);
+  }
+};
+
+// Fields for everything logged within the current request.
+const context = new AsyncLocalStorage();
+
+// Run `fn` with `fields` added to every entry logged during it, including in
+// callbacks and promises it starts.
+const withContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+const createLogger = ({
+  level = 'info',
+  write = (line) => process.stdout.write(line + '\n'),
+} = {}) => {
+  let threshold = LEVELS[level];
+
+  const log = (entryLevel, message, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: message,
+      ...context.getStore(),
+      ...fields,
+    });
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    setLevel: (newLevel) => {
+      if (LEVELS[newLevel] == null) {
+        throw new Error(`Unknown log level ${newLevel}`);
+      }
+      threshold = LEVELS[newLevel];
+    },
+  };
+};
+
+// The logger shared by the server and lib modules.
+const logger = createLogger();
+
+module.exports = { redact, withContext, createLogger, logger };
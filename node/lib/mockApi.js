@@ -0,0 +1,335 @@
+'use strict';
+
+// Offline stand-ins for the Plaid API and the Coinflow endpoints we call, so
+// the server can run in CI or without network access (PLAID_ENV=mock), and a
+// recorder that captures real Sandbox traffic as their fixtures
+// (MOCK_RECORD=true).
+//
+// Fixtures are JSON files under fixtures/<service>/, named after the request
+// path: fixtures/plaid/accounts/get.json answers POST /accounts/get. Requests
+// other than POSTs add their method, as in fixtures/coinflow/api/auth.get.json.
+// Each holds the response `status` and either its JSON `body` or, for PDFs, a
+// `content_type` and `body_base64`; recorded fixtures also keep the
+// (scrubbed) `request` for reference.
+//
+// A scenario, from fixtures/scenarios/<name>.json, replaces some responses,
+// e.g. to answer ITEM_LOGIN_REQUIRED. Its `plaid` and `coinflow` objects map
+// "<METHOD> <path>" to a response in the same form as a fixture. The scenario
+// is picked with MOCK_SCENARIO and can be changed while the server runs:
+//
+//   GET /__mock/scenario                 the current scenario
+//   PUT /__mock/scenario  { scenario }   switch scenario (null for none)
+//   POST /__mock/webhooks <webhook>      sign a webhook body the way Plaid
+//                                        does and deliver it to /api/webhook
+//
+// The mock signs webhooks with a key it makes when it starts, and answers
+// /webhook_verification_key/get with that key rather than a fixture.
+//
+// Each service is served by the fake Plaid of lib/fakePlaid.js, so failures
+// can be queued up in mock mode too, e.g. with
+// POST /__mock/plaid/__fake/failures.
+// https://plaid.com/docs/sandbox/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createFakePlaid } = require('./fakePlaid');
+
+const SERVICES = ['plaid', 'coinflow'];
+
+// What scrubbed tokens and JWTs are replaced with. The JWT has no expiry, so
+// it never counts as expired.
+const SCRUBBED_TOKEN_ID = '00000000-0000-0000-0000-000000000000';
+const SCRUBBED_JWT = [{ alg: 'none', typ: 'JWT' }, { sub: 'scrubbed' }]
+  .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+  .concat('')
+  .join('.');
+const SCRUBBED = '[SCRUBBED]';
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Fields whose names end in one of these are secrets, e.g. client_secret or
+// X-Api-Key. Names are compared lowercased with separators removed.
+const SECRET_KEYS = [
+  'secret',
+  'clientid',
+  'password',
+  'authorization',
+  'signedmessage',
+  'apikey',
+];
+
+// Replace credentials in a request or response before it is saved. Plaid
+// tokens keep their type and environment (e.g. access-sandbox-) so fixtures
+// still read naturally; the Sandbox's fake account data is kept as is.
+const scrub = (value, key = '') => {
+  if (Array.isArray(value)) {
+    return value.map((entry) => scrub(entry, key));
+  }
+  if (value != null && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach((field) => {
+      result[field] = scrub(value[field], field);
+    });
+    return result;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (SECRET_KEYS.some((secret) => normalizeKey(key).endsWith(secret))) {
+    return SCRUBBED;
+  }
+  return value
+    .replace(
+      /\b([a-z]+)-(sandbox|development|production)-[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\b/g,
+      `$1-$2-${SCRUBBED_TOKEN_ID}`,
+    )
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, SCRUBBED_JWT);
+};
+
+// The fixture file for a request to a service, or null if the request path
+// would lead outside the service's fixtures, e.g. with '..'.
+const fixturePath = (fixturesPath, service, method, requestPath) => {
+  const serviceRoot = path.resolve(fixturesPath, service);
+  const name = requestPath.replace(/^\/+|\/+$/g, '');
+  const suffix = method === 'POST' ? '' : `.${method.toLowerCase()}`;
+  const filePath = path.resolve(serviceRoot, `${name}${suffix}.json`);
+  return filePath.startsWith(serviceRoot + path.sep) ? filePath : null;
+};
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+const loadScenario = (fixturesPath, name) => {
+  if (name == null || name === '') {
+    return null;
+  }
+  const scenarioPath = path.join(fixturesPath, 'scenarios', `${name}.json`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(scenarioPath)) {
+    throw new Error(`Unknown mock scenario ${name}`);
+  }
+  return { name, ...readJson(scenarioPath) };
+};
+
+// A webhook signing key, and the /webhook_verification_key/get response for
+// it.
+const createSigningKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+  });
+  const kid = crypto.randomUUID();
+  const jwk = publicKey.export({ format: 'jwk' });
+  return {
+    sign: (rawBody) => {
+      const encode = (part) =>
+        Buffer.from(JSON.stringify(part)).toString('base64url');
+      const header = encode({ alg: 'ES256', kid, typ: 'JWT' });
+      const payload = encode({
+        iat: Math.floor(Date.now() / 1000),
+        request_body_sha256: crypto
+          .createHash('sha256')
+          .update(rawBody)
+          .digest('hex'),
+      });
+      const signingInput = `${header}.${payload}`;
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363',
+      });
+      return `${signingInput}.${signature.toString('base64url')}`;
+    },
+    verificationKey: {
+      key: {
+        alg: 'ES256',
+        kid,
+        use: 'sig',
+        ...jwk,
+        created_at: Math.floor(Date.now() / 1000),
+        expired_at: null,
+      },
+      request_id: crypto.randomUUID(),
+    },
+  };
+};
+
+// The mock, as a router to mount at /__mock. Plaid's API is served under
+// /plaid and Coinflow's under /coinflow. Webhooks are delivered to
+// `webhookUrl`.
+const createMockApi = ({ fixturesPath, scenario, webhookUrl, logger }) => {
+  const router = express.Router();
+  const signingKey = createSigningKey();
+  let current = loadScenario(fixturesPath, scenario);
+
+  router.get('/scenario', function (request, response) {
+    response.json({ scenario: current != null ? current.name : null });
+  });
+
+  router.put('/scenario', function (request, response) {
+    try {
+      current = loadScenario(fixturesPath, request.body.scenario);
+    } catch (error) {
+      response.status(404).json({ error: error.message });
+      return;
+    }
+    logger.info('Switched mock scenario', { scenario: request.body.scenario });
+    response.json({ scenario: current != null ? current.name : null });
+  });
+
+  router.post('/webhooks', function (request, response, next) {
+    Promise.resolve()
+      .then(async function () {
+        const rawBody = JSON.stringify(request.body);
+        const delivery = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Plaid-Verification': signingKey.sign(rawBody),
+          },
+          body: rawBody,
+        });
+        response.json({ status: delivery.status, body: await delivery.json() });
+      })
+      .catch(next);
+  });
+
+  // The fixture, or the current scenario's replacement for it, that answers
+  // a request to `service`.
+  const respond = (service) => (request) => {
+    const requestPath = request.path.replace(/\/+$/, '');
+    if (
+      service === 'plaid' &&
+      requestPath === '/webhook_verification_key/get'
+    ) {
+      return { status: 200, body: signingKey.verificationKey };
+    }
+    const key = `${request.method} ${requestPath}`;
+    if (current != null && current[service] != null && current[service][key]) {
+      return current[service][key];
+    }
+    const filePath = fixturePath(
+      fixturesPath,
+      service,
+      request.method,
+      request.path,
+    );
+    if (filePath == null || !fs.existsSync(filePath)) {
+      logger.warn('No mock fixture', { service, request: key });
+      return {
+        status: 404,
+        body: {
+          error_type: 'API_ERROR',
+          error_code: 'MOCK_FIXTURE_NOT_FOUND',
+          error_message: `No fixture for ${service} ${key}; record one with MOCK_RECORD=true`,
+          display_message: null,
+          request_id: crypto.randomUUID(),
+        },
+      };
+    }
+    return readJson(filePath);
+  };
+
+  SERVICES.forEach((service) => {
+    router.use(`/${service}`, createFakePlaid({ respond: respond(service) }));
+  });
+
+  return router;
+};
+
+// Request headers passed on to the real APIs. Everything else, such as the
+// Host and Cookie headers, is dropped.
+const FORWARDED_HEADERS = [
+  'accept',
+  'authorization',
+  'content-type',
+  'plaid-client-id',
+  'plaid-secret',
+  'plaid-version',
+  'x-coinflow-auth-blockchain',
+  'x-coinflow-auth-wallet',
+];
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// The recorder, as a router to mount at /__record. Requests to
+// /plaid/<path> and /coinflow/<path> are passed on to `upstreams.plaid` and
+// `upstreams.coinflow`, and each exchange is saved, scrubbed, as the fixture
+// for its request. Recording only makes sense against the Sandbox. Only this
+// server's own calls, from the loopback interface, are passed on.
+const createRecorder = ({ fixturesPath, upstreams, logger }) => {
+  const router = express.Router();
+
+  router.use(function (request, response, next) {
+    if (!LOOPBACK_ADDRESSES.includes(request.socket.remoteAddress)) {
+      response
+        .status(403)
+        .json({ error: 'The recorder only takes local calls' });
+      return;
+    }
+    next();
+  });
+
+  SERVICES.forEach((service) => {
+    router.all(`/${service}/*`, function (request, response, next) {
+      const requestPath = request.path.slice(service.length + 1);
+      const filePath = fixturePath(
+        fixturesPath,
+        service,
+        request.method,
+        requestPath,
+      );
+      if (filePath == null) {
+        response.status(400).json({ error: 'Invalid fixture path' });
+        return;
+      }
+      const headers = {};
+      FORWARDED_HEADERS.forEach((name) => {
+        if (request.get(name) != null) {
+          headers[name] = request.get(name);
+        }
+      });
+      Promise.resolve()
+        .then(async function () {
+          const upstreamResponse = await fetch(
+            upstreams[service] + requestPath,
+            {
+              method: request.method,
+              headers,
+              body: request.rawBody != null ? request.rawBody : undefined,
+            },
+          );
+          const contentType =
+            upstreamResponse.headers.get('content-type') || '';
+          const body = Buffer.from(await upstreamResponse.arrayBuffer());
+          const fixture = {
+            request:
+              request.rawBody != null && request.rawBody.length > 0
+                ? scrub(JSON.parse(request.rawBody))
+                : undefined,
+            status: upstreamResponse.status,
+          };
+          if (contentType.includes('json')) {
+            fixture.body = scrub(JSON.parse(body.toString('utf8')));
+          } else {
+            fixture.content_type = contentType;
+            fixture.body_base64 = body.toString('base64');
+          }
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2) + '\n');
+          logger.info('Recorded fixture', {
+            service,
+            request: `${request.method} ${requestPath}`,
+            status: upstreamResponse.status,
+          });
+          response
+            .status(upstreamResponse.status)
+            .type(contentType || 'application/octet-stream')
+            .send(body);
+        })
+        .catch(next);
+    });
+  });
+
+  return router;
+};
+
+module.exports = { scrub, createMockApi, createRecorder };
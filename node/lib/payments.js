@@ -0,0 +1,150 @@
+'use strict';
+
+// Helpers for the UK/EU Payment Initiation product. Recipients and payments
+// are recorded against the user who created them, so each user only sees
+// their own payments.
+// https://plaid.com/docs/payment-initiation/
+
+const RECIPIENTS = 'payment_recipients';
+const PAYMENTS = 'payments';
+
+const CURRENCIES = ['GBP', 'EUR', 'PLN', 'SEK', 'DKK', 'NOK'];
+
+// Used when the caller doesn't supply a recipient or payment, so that the
+// frontend's Link button works out of the box in Sandbox.
+const SAMPLE_RECIPIENT = {
+  name: 'John Doe',
+  bacs: { account: '26207729', sort_code: '560029' },
+  address: {
+    street: ['street name 999'],
+    city: 'city',
+    postal_code: '99999',
+    country: 'GB',
+  },
+};
+const SAMPLE_PAYMENT = {
+  reference: 'TestPayment',
+  amount: { currency: 'GBP', value: 100.0 },
+};
+
+// Returns a list of problems with a recipient, empty if it is valid.
+const validateRecipient = (recipient) => {
+  const errors = [];
+  if (recipient == null || typeof recipient !== 'object') {
+    return ['recipient is required'];
+  }
+  if (!recipient.name) {
+    errors.push('recipient.name is required');
+  }
+  if (!recipient.iban && !recipient.bacs) {
+    errors.push('recipient.iban or recipient.bacs is required');
+  }
+  if (
+    recipient.bacs &&
+    (!/^\d{8}$/.test(recipient.bacs.account) ||
+      !/^\d{6}$/.test(recipient.bacs.sort_code))
+  ) {
+    errors.push(
+      'recipient.bacs needs an 8 digit account and a 6 digit sort_code',
+    );
+  }
+  return errors;
+};
+
+// Returns a list of problems with a payment's reference and amount, empty if
+// they are valid.
+const validatePayment = ({ reference, amount }) => {
+  const errors = [];
+  // Plaid requires an alphanumeric reference of at most 18 characters.
+  if (!reference || !/^[A-Za-z0-9 ]{1,18}$/.test(reference)) {
+    errors.push('reference must be 1-18 letters, digits or spaces');
+  }
+  if (amount == null || !CURRENCIES.includes(amount.currency)) {
+    errors.push(`amount.currency must be one of ${CURRENCIES.join(', ')}`);
+  }
+  const value = amount != null ? String(amount.value) : '';
+  if (!/^\d+(\.\d{1,2})?$/.test(value) || Number(value) < 1) {
+    errors.push('amount.value must be at least 1 with at most 2 decimals');
+  }
+  return errors;
+};
+
+const createRecipient = async (client, store, userId, recipient) => {
+  const recipientCreateResponse = await client.paymentInitiationRecipientCreate(
+    recipient,
+  );
+  const recipientId = recipientCreateResponse.data.recipient_id;
+  return store.put(RECIPIENTS, recipientId, {
+    recipient_id: recipientId,
+    user_id: userId,
+    name: recipient.name,
+    created_at: new Date().toISOString(),
+  });
+};
+
+const getRecipient = (store, userId, recipientId) => {
+  const recipient = store.get(RECIPIENTS, recipientId);
+  return recipient != null && recipient.user_id === userId ? recipient : null;
+};
+
+// Create a payment and make it the user's current one (the payment returned
+// by /api/payment).
+const createPayment = async (client, store, userId, payment) => {
+  const amount = {
+    currency: payment.amount.currency,
+    value: Number(payment.amount.value),
+  };
+  const paymentCreateResponse = await client.paymentInitiationPaymentCreate({
+    recipient_id: payment.recipient_id,
+    reference: payment.reference,
+    amount,
+  });
+  const paymentId = paymentCreateResponse.data.payment_id;
+  const record = store.put(PAYMENTS, paymentId, {
+    payment_id: paymentId,
+    user_id: userId,
+    recipient_id: payment.recipient_id,
+    reference: payment.reference,
+    amount,
+    status: paymentCreateResponse.data.status,
+    created_at: new Date().toISOString(),
+  });
+  store.updateUser(userId, { payment_id: paymentId });
+  return record;
+};
+
+const getPayment = (store, userId, paymentId) => {
+  const payment = store.get(PAYMENTS, paymentId);
+  return payment != null && payment.user_id === userId ? payment : null;
+};
+
+// Fetch a payment's current state from Plaid and record its status locally.
+const refreshPayment = async (client, store, paymentId) => {
+  const paymentGetResponse = await client.paymentInitiationPaymentGet({
+    payment_id: paymentId,
+  });
+  store.update(PAYMENTS, paymentId, {
+    status: paymentGetResponse.data.status,
+    last_status_update: paymentGetResponse.data.last_status_update,
+  });
+  return paymentGetResponse.data;
+};
+
+// A user's payments, most recent first.
+const listPayments = (store, userId) =>
+  store
+    .list(PAYMENTS, (payment) => payment.user_id === userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+module.exports = {
+  SAMPLE_RECIPIENT,
+  SAMPLE_PAYMENT,
+  validateRecipient,
+  validatePayment,
+  createRecipient,
+  getRecipient,
+  createPayment,
+  getPayment,
+  refreshPayment,
+  listPayments,
+};
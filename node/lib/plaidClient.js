@@ -0,0 +1,182 @@
+'use strict';
+
+// Wraps a PlaidApi instance so that every call gets a timeout, is retried
+// with exponential backoff when Plaid reports a temporary problem, and waits
+// its turn when too many calls for the same Item are already in flight. The
+// wrapper has the same methods as PlaidApi, so routes use it unchanged.
+// https://plaid.com/docs/errors/#retrying-requests
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rejected before Plaid did any work, so any call can be retried.
+const ALWAYS_RETRYABLE_TYPES = ['RATE_LIMIT_EXCEEDED'];
+
+// Temporary failures that may have happened part way through a call. Only
+// calls that are safe to repeat are retried (see isSafeToRetry).
+const RETRYABLE_CODES = [
+  'INTERNAL_SERVER_ERROR',
+  'PLANNED_MAINTENANCE',
+  'INSTITUTION_NOT_RESPONDING',
+  'INSTITUTION_DOWN',
+];
+
+// Calls that only read data, or that Plaid deduplicates, are safe to repeat.
+const isSafeToRetry = (method, request) =>
+  /(Get|GetById|List|Sync|Search|Download)$/.test(method) ||
+  method === 'linkTokenCreate' ||
+  (request != null && request.idempotency_key != null);
+
+const isRetryable = (error, method, request) => {
+  if (error == null || error.isAxiosError !== true) {
+    return false;
+  }
+  const data = error.response != null ? error.response.data : null;
+  if (data != null && ALWAYS_RETRYABLE_TYPES.includes(data.error_type)) {
+    return true;
+  }
+  if (!isSafeToRetry(method, request)) {
+    return false;
+  }
+  if (error.response == null) {
+    // Timed out or couldn't connect.
+    return true;
+  }
+  if (data != null && data.error_code != null) {
+    return RETRYABLE_CODES.includes(data.error_code);
+  }
+  return error.response.status >= 500;
+};
+
+// Full jitter: a random delay between 0 and the exponential backoff for this
+// attempt, so that callers retrying together spread out.
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+// Limits how many calls may run at once for each key. Calls over the limit
+// wait in line.
+const createLimiter = (limit) => {
+  const slots = new Map();
+
+  const acquire = (key) => {
+    const slot = slots.get(key) || { active: 0, waiting: [] };
+    slots.set(key, slot);
+    if (slot.active < limit) {
+      slot.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => slot.waiting.push(resolve));
+  };
+
+  const release = (key) => {
+    const slot = slots.get(key);
+    const next = slot.waiting.shift();
+    if (next != null) {
+      // Hand the slot straight to the next caller.
+      next();
+      return;
+    }
+    slot.active -= 1;
+    if (slot.active === 0) {
+      slots.delete(key);
+    }
+  };
+
+  return async (key, fn) => {
+    if (key == null) {
+      return fn();
+    }
+    await acquire(key);
+    try {
+      return await fn();
+    } finally {
+      release(key);
+    }
+  };
+};
+
+// Options:
+// - timeoutMs: per-attempt timeout, overridable per method with `timeouts`,
+//   e.g. { statementsDownload: 120000 }
+// - maxRetries: retries after the first attempt
+// - baseDelayMs / maxDelayMs: bounds for the backoff between attempts
+// - itemConcurrency: calls allowed in flight at once per access token
+// - onRetry: called with (method, error, attempt, delayMs) before each retry
+// - onCall: called with (method, details, data) after each attempt, where
+//   details holds the attempt number, duration, HTTP status and Plaid's
+//   request_id (and error_type and error_code if it failed), and data is the
+//   response body of a successful call
+const createResilientClient = (
+  client,
+  {
+    timeoutMs = 30000,
+    timeouts = {},
+    maxRetries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    itemConcurrency = 2,
+    onRetry = () => {},
+    onCall = () => {},
+  } = {},
+) => {
+  const limit = createLimiter(itemConcurrency);
+
+  // One attempt at a call, reported to onCall however it turns out.
+  const attemptCall = async (method, request, options, attempt) => {
+    const startedAt = Date.now();
+    try {
+      const response = await client[method](request, options);
+      onCall(
+        method,
+        {
+          attempt,
+          duration_ms: Date.now() - startedAt,
+          status: response.status,
+          request_id: response.data != null ? response.data.request_id : null,
+        },
+        response.data,
+      );
+      return response;
+    } catch (error) {
+      const data = error.response != null ? error.response.data : null;
+      onCall(method, {
+        attempt,
+        duration_ms: Date.now() - startedAt,
+        status: error.response != null ? error.response.status : null,
+        request_id: data != null ? data.request_id : null,
+        error_type: data != null ? data.error_type : null,
+        error_code: data != null ? data.error_code : error.code,
+      });
+      throw error;
+    }
+  };
+
+  const call = async (method, request, options) => {
+    const timeout = timeouts[method] || timeoutMs;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await limit(request != null ? request.access_token : null, () =>
+          attemptCall(method, request, { timeout, ...options }, attempt + 1),
+        );
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error, method, request)) {
+          throw error;
+        }
+        const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        onRetry(method, error, attempt + 1, delayMs);
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  return new Proxy(client, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function' || typeof property !== 'string') {
+        return value;
+      }
+      return (request, options) => call(property, request, options);
+    },
+  });
+};
+
+module.exports = { isRetryable, createResilientClient };
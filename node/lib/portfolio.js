@@ -0,0 +1,353 @@
+'use strict';
+
+// A summary of a user's finances across all of their Items: net worth
+// (assets less liabilities), asset allocation and unrealized gain/loss from
+// investment holdings, and upcoming loan and credit card payments.
+//
+// Amounts in different currencies are never added together, so every total
+// is reported per currency. Unofficial currencies (e.g. cryptocurrencies) are
+// reported under their unofficial_currency_code.
+// https://plaid.com/docs/api/products/investments/#investmentsholdingsget
+// https://plaid.com/docs/api/products/liabilities/#liabilitiesget
+
+const moment = require('moment');
+
+// Account types counted as assets and as liabilities. Investment accounts are
+// counted at their balance, which already includes their holdings.
+// https://plaid.com/docs/api/accounts/#account-type-schema
+const ASSET_TYPES = ['depository', 'investment', 'brokerage', 'other'];
+const LIABILITY_TYPES = ['credit', 'loan'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const currencyOf = (entry) =>
+  entry.iso_currency_code || entry.unofficial_currency_code || null;
+
+// Add up `fields` of `entries` grouped by their `key`, e.g. by currency.
+// Returns one row per value of `key`, in order of first appearance.
+const sumBy = (entries, key, fields) => {
+  const totals = new Map();
+  entries.forEach((entry) => {
+    if (!totals.has(entry[key])) {
+      totals.set(
+        entry[key],
+        fields.map(() => 0),
+      );
+    }
+    const sums = totals.get(entry[key]);
+    fields.forEach((field, index) => {
+      sums[index] += entry[field] || 0;
+    });
+  });
+  return Array.from(totals.entries()).map(([value, sums]) => {
+    const row = { [key]: value };
+    fields.forEach((field, index) => {
+      row[field] = round(sums[index]);
+    });
+    return row;
+  });
+};
+
+const percentage = (part, whole) =>
+  whole !== 0 ? round((part / whole) * 100) : null;
+
+// Call a Plaid product for an Item, recording a Plaid error (e.g.
+// ITEM_LOGIN_REQUIRED, or PRODUCTS_NOT_SUPPORTED at an institution without
+// the product) rather than failing the whole summary.
+const attempt = async (errors, product, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    const data = error.response && error.response.data;
+    if (data == null || data.error_code == null) {
+      throw error;
+    }
+    errors.push({
+      product,
+      error_type: data.error_type,
+      error_code: data.error_code,
+      error_message: data.error_message,
+    });
+    return null;
+  }
+};
+
+// Fetch what the summary needs from one Item: its balances, and its holdings
+// and liabilities if it has accounts of those kinds. Responses are shared
+// with the other routes through `cache`.
+const fetchItemFinancials = async (client, cache, item) => {
+  const errors = [];
+  const call = (method, product) =>
+    attempt(errors, product, () =>
+      cache.wrap(method, item.item_id, async () => {
+        const plaidResponse = await client[method]({
+          access_token: item.access_token,
+        });
+        return plaidResponse.data;
+      }),
+    );
+
+  const balances = await call('accountsBalanceGet', 'balance');
+  const accounts = balances != null ? balances.accounts : [];
+  const hasType = (types) =>
+    accounts.some((account) => types.includes(account.type));
+  const [holdings, liabilities] = await Promise.all([
+    hasType(['investment', 'brokerage'])
+      ? call('investmentsHoldingsGet', 'investments')
+      : null,
+    hasType(LIABILITY_TYPES) ? call('liabilitiesGet', 'liabilities') : null,
+  ]);
+
+  return {
+    item_id: item.item_id,
+    institution_id:
+      balances != null && balances.item != null
+        ? balances.item.institution_id || null
+        : null,
+    accounts,
+    holdings: holdings != null ? holdings.holdings : [],
+    securities: holdings != null ? holdings.securities : [],
+    liabilities: liabilities != null ? liabilities.liabilities : null,
+    errors,
+  };
+};
+
+// Each account's balance and whether it counts as an asset or a liability.
+// Liabilities are the amount owed, so a credit card with a credit balance
+// counts as a negative liability.
+const accountSummaries = (financials) =>
+  financials.flatMap((item) =>
+    item.accounts
+      .filter(
+        (account) =>
+          ASSET_TYPES.includes(account.type) ||
+          LIABILITY_TYPES.includes(account.type),
+      )
+      .map((account) => {
+        const balance =
+          account.balances.current != null
+            ? account.balances.current
+            : account.balances.available;
+        return {
+          item_id: item.item_id,
+          account_id: account.account_id,
+          name: account.name,
+          mask: account.mask,
+          type: account.type,
+          subtype: account.subtype,
+          classification: LIABILITY_TYPES.includes(account.type)
+            ? 'liability'
+            : 'asset',
+          balance: balance != null ? balance : 0,
+          currency: currencyOf(account.balances),
+        };
+      }),
+  );
+
+const netWorth = (accounts) =>
+  sumBy(
+    accounts.map((account) => ({
+      currency: account.currency,
+      assets: account.classification === 'asset' ? account.balance : 0,
+      liabilities: account.classification === 'liability' ? account.balance : 0,
+    })),
+    'currency',
+    ['assets', 'liabilities'],
+  ).map((row) => ({
+    ...row,
+    net_worth: round(row.assets - row.liabilities),
+  }));
+
+// Holdings joined to their securities, with the gain or loss on those that
+// have a cost basis.
+const positions = (financials) =>
+  financials.flatMap((item) => {
+    const securities = new Map(
+      item.securities.map((security) => [security.security_id, security]),
+    );
+    return item.holdings.map((holding) => {
+      const security = securities.get(holding.security_id) || {};
+      const value = holding.institution_value || 0;
+      const costBasis = holding.cost_basis;
+      return {
+        item_id: item.item_id,
+        account_id: holding.account_id,
+        security_id: holding.security_id,
+        ticker_symbol: security.ticker_symbol || null,
+        name: security.name || null,
+        security_type: security.type || 'unknown',
+        quantity: holding.quantity,
+        value,
+        cost_basis: costBasis != null ? costBasis : null,
+        unrealized_gain_loss:
+          costBasis != null ? round(value - costBasis) : null,
+        currency: currencyOf(holding),
+      };
+    });
+  });
+
+// The share of each currency's holdings in each security type (equity, etf,
+// mutual fund, cash, ...).
+const allocation = (holdings) =>
+  sumBy(holdings, 'currency', ['value']).map(({ currency, value }) => ({
+    currency,
+    total_value: value,
+    by_security_type: sumBy(
+      holdings.filter((holding) => holding.currency === currency),
+      'security_type',
+      ['value'],
+    )
+      .map((type) => ({
+        ...type,
+        percentage: percentage(type.value, value),
+      }))
+      .sort((a, b) => b.value - a.value),
+  }));
+
+// Unrealized gain/loss per currency, over the holdings with a cost basis.
+// Institutions don't report a cost basis for every holding; those are
+// counted but left out of the totals.
+const unrealizedGainLoss = (holdings) => {
+  const withCostBasis = holdings.filter(
+    (holding) => holding.cost_basis != null,
+  );
+  return sumBy(holdings, 'currency', []).map(({ currency }) => {
+    const [totals] = sumBy(
+      withCostBasis
+        .filter((holding) => holding.currency === currency)
+        .map((holding) => ({
+          currency,
+          market_value: holding.value,
+          cost_basis: holding.cost_basis,
+        })),
+      'currency',
+      ['market_value', 'cost_basis'],
+    );
+    const marketValue = totals != null ? totals.market_value : 0;
+    const costBasis = totals != null ? totals.cost_basis : 0;
+    const gainLoss = round(marketValue - costBasis);
+    return {
+      currency,
+      market_value: marketValue,
+      cost_basis: costBasis,
+      unrealized_gain_loss: gainLoss,
+      unrealized_gain_loss_percentage: percentage(gainLoss, costBasis),
+      holdings_without_cost_basis: holdings.filter(
+        (holding) =>
+          holding.currency === currency && holding.cost_basis == null,
+      ).length,
+    };
+  });
+};
+
+// The next payment on each credit card, student loan and mortgage, soonest
+// first. Credit cards report the purchase APR as `apr_percentage` and every
+// APR in `aprs`.
+const upcomingPayments = (financials, accounts, now) => {
+  const today = moment(now).startOf('day');
+  const payments = financials.flatMap((item) => {
+    const liabilities = item.liabilities || {};
+    const payment = (kind, liability, fields) => {
+      const account =
+        accounts.find(
+          (candidate) => candidate.account_id === liability.account_id,
+        ) || {};
+      const dueDate = liability.next_payment_due_date || null;
+      return {
+        item_id: item.item_id,
+        account_id: liability.account_id,
+        name: account.name || null,
+        mask: account.mask || null,
+        kind,
+        next_payment_due_date: dueDate,
+        days_until_due:
+          dueDate != null
+            ? moment(dueDate, 'YYYY-MM-DD').diff(today, 'days')
+            : null,
+        currency: account.currency || null,
+        ...fields,
+      };
+    };
+    return [
+      ...(liabilities.credit || []).map((credit) => {
+        const aprs = credit.aprs || [];
+        const purchaseApr = aprs.find((apr) => apr.apr_type === 'purchase_apr');
+        return payment('credit', credit, {
+          minimum_payment_amount: credit.minimum_payment_amount,
+          apr_percentage:
+            purchaseApr != null ? purchaseApr.apr_percentage : null,
+          aprs: aprs.map((apr) => ({
+            apr_type: apr.apr_type,
+            apr_percentage: apr.apr_percentage,
+            balance_subject_to_apr: apr.balance_subject_to_apr,
+          })),
+          last_statement_balance: credit.last_statement_balance,
+          is_overdue: credit.is_overdue,
+        });
+      }),
+      ...(liabilities.student || []).map((student) =>
+        payment('student', student, {
+          minimum_payment_amount: student.minimum_payment_amount,
+          apr_percentage: student.interest_rate_percentage,
+          is_overdue: student.is_overdue,
+        }),
+      ),
+      ...(liabilities.mortgage || []).map((mortgage) =>
+        payment('mortgage', mortgage, {
+          minimum_payment_amount: mortgage.next_monthly_payment,
+          apr_percentage:
+            mortgage.interest_rate != null
+              ? mortgage.interest_rate.percentage
+              : null,
+          interest_rate_type:
+            mortgage.interest_rate != null ? mortgage.interest_rate.type : null,
+          is_overdue:
+            mortgage.past_due_amount != null
+              ? mortgage.past_due_amount > 0
+              : null,
+          past_due_amount: mortgage.past_due_amount,
+        }),
+      ),
+    ];
+  });
+  // Payments without a due date go last.
+  return payments.sort((a, b) =>
+    (a.next_payment_due_date || '9999').localeCompare(
+      b.next_payment_due_date || '9999',
+    ),
+  );
+};
+
+// Summarize the fetchItemFinancials results for each of a user's Items.
+// `complete` is false if any Item's data couldn't be fetched, in which case
+// the totals leave out what is missing and `items` says what failed.
+const summarizePortfolio = (financials, now = new Date()) => {
+  const accounts = accountSummaries(financials);
+  const holdings = positions(financials);
+  const payments = upcomingPayments(financials, accounts, now);
+  return {
+    as_of: now.toISOString(),
+    complete: financials.every((item) => item.errors.length === 0),
+    items: financials.map((item) => ({
+      item_id: item.item_id,
+      institution_id: item.institution_id,
+      errors: item.errors,
+    })),
+    net_worth: netWorth(accounts),
+    accounts,
+    allocation: allocation(holdings),
+    unrealized_gain_loss: unrealizedGainLoss(holdings),
+    holdings,
+    upcoming_payments: payments,
+    minimum_payments: sumBy(
+      payments.map((payment) => ({
+        currency: payment.currency,
+        total: payment.minimum_payment_amount,
+      })),
+      'currency',
+      ['total'],
+    ),
+  };
+};
+
+module.exports = { fetchItemFinancials, summarizePortfolio };
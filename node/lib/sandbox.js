@@ -0,0 +1,211 @@
+'use strict';
+
+// Sandbox-only helpers for scripted testing: creating Items without Link,
+// forcing them into ITEM_LOGIN_REQUIRED, firing webhooks, moving transfers
+// through their lifecycle and adding transactions. Plaid rejects these calls
+// outside the Sandbox.
+// https://plaid.com/docs/api/sandbox/
+
+const moment = require('moment');
+const { SandboxItemFireWebhookRequestWebhookCodeEnum } = require('plaid');
+
+// The default Sandbox institution, First Platypus Bank.
+const DEFAULT_INSTITUTION_ID = 'ins_109508';
+
+const WEBHOOK_CODES = Object.values(
+  SandboxItemFireWebhookRequestWebhookCodeEnum,
+);
+
+// Transfer events that can be simulated. Plaid rejects events that don't
+// follow from the transfer's status, e.g. settling a pending transfer.
+const TRANSFER_EVENTS = [
+  'posted',
+  'settled',
+  'funds_available',
+  'failed',
+  'returned',
+];
+
+// /sandbox/transactions/create accepts at most this many at a time.
+const MAX_TRANSACTIONS = 10;
+
+const isDate = (value) =>
+  typeof value === 'string' && moment(value, 'YYYY-MM-DD', true).isValid();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value !== '';
+
+// Returns a list of problems with a request to create an Item, empty if it
+// is valid.
+const validateItemRequest = (body) => {
+  const errors = [];
+  if (body.institution_id != null && !isNonEmptyString(body.institution_id)) {
+    errors.push('institution_id must be a string');
+  }
+  if (
+    body.products != null &&
+    (!Array.isArray(body.products) ||
+      body.products.length === 0 ||
+      !body.products.every(isNonEmptyString))
+  ) {
+    errors.push('products must be a non-empty array of product names');
+  }
+  ['override_username', 'override_password'].forEach((field) => {
+    if (body[field] != null && !isNonEmptyString(body[field])) {
+      errors.push(`${field} must be a string`);
+    }
+  });
+  return errors;
+};
+
+// Create a public token for a new Item at `institution_id` with `products`,
+// as Link would. Sandbox credentials other than the default user_good /
+// pass_good can be chosen with override_username and override_password, e.g.
+// user_transactions_dynamic for an Item that sandboxTransactionsCreate can
+// add to.
+// https://plaid.com/docs/api/sandbox/#sandboxpublic_tokencreate
+const createPublicToken = async (
+  client,
+  { institution_id, products, override_username, override_password },
+  webhook,
+) => {
+  const options = {};
+  if (webhook) {
+    options.webhook = webhook;
+  }
+  if (override_username != null) {
+    options.override_username = override_username;
+    options.override_password = override_password || 'pass_good';
+  }
+  const publicTokenResponse = await client.sandboxPublicTokenCreate({
+    institution_id: institution_id || DEFAULT_INSTITUTION_ID,
+    initial_products: products,
+    options,
+  });
+  return publicTokenResponse.data.public_token;
+};
+
+// Put an Item into ITEM_LOGIN_REQUIRED, to test update mode.
+// https://plaid.com/docs/api/sandbox/#sandboxitemreset_login
+const resetItemLogin = async (client, item) => {
+  const resetResponse = await client.sandboxItemResetLogin({
+    access_token: item.access_token,
+  });
+  return resetResponse.data.reset_login;
+};
+
+const validateWebhookRequest = (body) =>
+  WEBHOOK_CODES.includes(body.webhook_code)
+    ? []
+    : [`webhook_code must be one of ${WEBHOOK_CODES.join(', ')}`];
+
+// Have Plaid send the Item's webhook URL a webhook. The Item must have been
+// created with one, i.e. with PLAID_WEBHOOK_URL set.
+// https://plaid.com/docs/api/sandbox/#sandboxitemfire_webhook
+const fireWebhook = async (client, item, { webhook_type, webhook_code }) => {
+  const fireResponse = await client.sandboxItemFireWebhook({
+    access_token: item.access_token,
+    webhook_type: webhook_type || undefined,
+    webhook_code,
+  });
+  return fireResponse.data.webhook_fired;
+};
+
+const validateTransferEventRequest = (body) => {
+  const errors = [];
+  if (!TRANSFER_EVENTS.includes(body.event_type)) {
+    errors.push(`event_type must be one of ${TRANSFER_EVENTS.join(', ')}`);
+  }
+  if (
+    body.ach_return_code != null &&
+    !/^R\d{2}$/.test(String(body.ach_return_code))
+  ) {
+    errors.push('ach_return_code must be an ACH return code such as R01');
+  }
+  return errors;
+};
+
+// Simulate a transfer event. Failed and returned transfers can be given an
+// ach_return_code, e.g. R01 for insufficient funds.
+// https://plaid.com/docs/api/sandbox/#sandboxtransfersimulate
+const simulateTransferEvent = async (
+  client,
+  transfer,
+  { event_type, ach_return_code },
+) => {
+  await client.sandboxTransferSimulate({
+    transfer_id: transfer.id,
+    event_type,
+    failure_reason:
+      ach_return_code != null
+        ? {
+            ach_return_code,
+            description: `Simulated ${ach_return_code} ${event_type} event`,
+          }
+        : undefined,
+  });
+};
+
+const validateTransactionsRequest = (body) => {
+  const transactions = body.transactions;
+  if (
+    !Array.isArray(transactions) ||
+    transactions.length === 0 ||
+    transactions.length > MAX_TRANSACTIONS
+  ) {
+    return [`transactions must be an array of 1 to ${MAX_TRANSACTIONS}`];
+  }
+  const errors = [];
+  transactions.forEach((transaction, index) => {
+    const prefix = `transactions[${index}]`;
+    ['date_transacted', 'date_posted'].forEach((field) => {
+      if (!isDate(transaction[field])) {
+        errors.push(`${prefix}.${field} must be a date in YYYY-MM-DD format`);
+      }
+    });
+    if (
+      typeof transaction.amount !== 'number' ||
+      !isFinite(transaction.amount)
+    ) {
+      errors.push(`${prefix}.amount must be a number`);
+    }
+    if (!isNonEmptyString(transaction.description)) {
+      errors.push(`${prefix}.description is required`);
+    }
+    if (
+      transaction.iso_currency_code != null &&
+      !/^[A-Z]{3}$/.test(transaction.iso_currency_code)
+    ) {
+      errors.push(`${prefix}.iso_currency_code must be an ISO 4217 code`);
+    }
+  });
+  return errors;
+};
+
+// Add transactions to an Item created with the user_transactions_dynamic
+// Sandbox user. They show up on the next sync, after a
+// SYNC_UPDATES_AVAILABLE webhook.
+// https://plaid.com/docs/api/sandbox/#sandboxtransactionscreate
+const createTransactions = async (client, item, transactions) => {
+  await client.sandboxTransactionsCreate({
+    access_token: item.access_token,
+    transactions: transactions.map((transaction) => ({
+      date_transacted: transaction.date_transacted,
+      date_posted: transaction.date_posted,
+      amount: transaction.amount,
+      description: transaction.description,
+      iso_currency_code: transaction.iso_currency_code || undefined,
+    })),
+  });
+};
+
+module.exports = {
+  validateItemRequest,
+  createPublicToken,
+  resetItemLogin,
+  validateWebhookRequest,
+  fireWebhook,
+  validateTransferEventRequest,
+  simulateTransferEvent,
+  validateTransactionsRequest,
+  createTransactions,
+};
@@ -0,0 +1,311 @@
+'use strict';
+
+// Helpers for Signal, which scores the risk that an ACH debit will be
+// returned. Each evaluation is recorded locally against the user and Item
+// together with the recommendation our own rule set makes from its scores,
+// and the decision and any return are later reported back to Plaid so it can
+// tune the scores.
+// https://plaid.com/docs/signal/
+
+const fs = require('fs');
+
+const SIGNAL_EVALUATIONS = 'signal_evaluations';
+
+const SCORES = ['customer_initiated_return_risk', 'bank_initiated_return_risk'];
+
+// Scores run from 1 (lowest risk) to 99. An evaluation is declined when any
+// score reaches its `decline` threshold, sent for review when any reaches its
+// `review` threshold, and approved otherwise. Amounts above
+// `max_auto_approve_amount` are never approved without review.
+const DEFAULT_SIGNAL_RULES = {
+  customer_initiated_return_risk: { review: 50, decline: 80 },
+  bank_initiated_return_risk: { review: 50, decline: 80 },
+  max_auto_approve_amount: null,
+};
+
+const DECISION_OUTCOMES = [
+  'APPROVE',
+  'REVIEW',
+  'REJECT',
+  'TAKE_OTHER_RISK_MEASURES',
+  'NOT_EVALUATED',
+];
+const PAYMENT_METHODS = [
+  'SAME_DAY_ACH',
+  'NEXT_DAY_ACH',
+  'STANDARD_ACH',
+  'REAL_TIME_PAYMENTS',
+  'DEBIT_CARD',
+  'MULTIPLE_PAYMENT_METHODS',
+];
+
+const isScore = (value) =>
+  typeof value === 'number' && value >= 1 && value <= 99;
+
+// Read a rule set from a JSON file, with anything it leaves out taken from
+// DEFAULT_SIGNAL_RULES. Throws if the file can't be read or a threshold is
+// out of range, so that a bad rule set is caught at startup.
+const loadSignalRules = (filePath) => {
+  if (!filePath) {
+    return DEFAULT_SIGNAL_RULES;
+  }
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const rules = { ...DEFAULT_SIGNAL_RULES };
+  SCORES.forEach((score) => {
+    rules[score] = { ...DEFAULT_SIGNAL_RULES[score], ...overrides[score] };
+    const { review, decline } = rules[score];
+    if (!isScore(review) || !isScore(decline) || review > decline) {
+      throw new Error(
+        `${filePath}: ${score} thresholds must be 1-99 with review <= decline`,
+      );
+    }
+  });
+  if (overrides.max_auto_approve_amount !== undefined) {
+    rules.max_auto_approve_amount = overrides.max_auto_approve_amount;
+  }
+  if (
+    rules.max_auto_approve_amount != null &&
+    !(rules.max_auto_approve_amount > 0)
+  ) {
+    throw new Error(
+      `${filePath}: max_auto_approve_amount must be a positive number or null`,
+    );
+  }
+  return rules;
+};
+
+// Returns a list of problems with an evaluation request body, empty if it is
+// valid.
+const validateEvaluationRequest = (body) => {
+  const errors = [];
+  if (!body.account_id) {
+    errors.push('account_id is required');
+  }
+  if (
+    typeof body.amount !== 'number' ||
+    !(body.amount > 0) ||
+    !/^\d+(\.\d{1,2})?$/.test(String(body.amount))
+  ) {
+    errors.push('amount must be a positive number such as 12.34');
+  }
+  if (
+    typeof body.client_transaction_id !== 'string' ||
+    body.client_transaction_id.length < 1 ||
+    body.client_transaction_id.length > 36
+  ) {
+    errors.push('client_transaction_id must be 1-36 characters');
+  }
+  ['user_present', 'is_recurring'].forEach((field) => {
+    if (body[field] != null && typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+  return errors;
+};
+
+// Apply the rule set to an evaluation's scores. Returns the recommendation
+// ('approve', 'review' or 'decline') and the reasons for it.
+const applySignalRules = (rules, scores, amount) => {
+  const declines = [];
+  const reviews = [];
+  SCORES.forEach((score) => {
+    if (scores[score] == null) {
+      return;
+    }
+    const value = scores[score].score;
+    if (value >= rules[score].decline) {
+      declines.push(`${score} score ${value} >= ${rules[score].decline}`);
+    } else if (value >= rules[score].review) {
+      reviews.push(`${score} score ${value} >= ${rules[score].review}`);
+    }
+  });
+  if (
+    rules.max_auto_approve_amount != null &&
+    amount > rules.max_auto_approve_amount
+  ) {
+    reviews.push(`amount ${amount} > ${rules.max_auto_approve_amount}`);
+  }
+  if (declines.length > 0) {
+    return { recommendation: 'decline', reasons: declines };
+  }
+  if (reviews.length > 0) {
+    return { recommendation: 'review', reasons: reviews };
+  }
+  return { recommendation: 'approve', reasons: [] };
+};
+
+const getEvaluation = (store, userId, clientTransactionId) => {
+  const evaluation = store.get(SIGNAL_EVALUATIONS, clientTransactionId);
+  return evaluation != null && evaluation.user_id === userId
+    ? evaluation
+    : null;
+};
+
+// Plaid requires client_transaction_id to be unique across all evaluations.
+const isEvaluated = (store, clientTransactionId) =>
+  store.get(SIGNAL_EVALUATIONS, clientTransactionId) != null;
+
+// Score a proposed debit with Signal and record the result. `context` holds
+// the user and device details gathered from the request; anything the body
+// supplies takes precedence.
+const evaluateSignal = async (
+  client,
+  store,
+  rules,
+  userId,
+  item,
+  body,
+  context = {},
+) => {
+  const device = { ...context.device, ...body.device };
+  const signalEvaluateResponse = await client.signalEvaluate({
+    access_token: item.access_token,
+    account_id: body.account_id,
+    client_transaction_id: body.client_transaction_id,
+    amount: body.amount,
+    user_present: body.user_present,
+    client_user_id: body.client_user_id || userId,
+    is_recurring: body.is_recurring,
+    default_payment_method: body.default_payment_method,
+    user: body.user || context.user,
+    device: Object.keys(device).length > 0 ? device : undefined,
+    risk_profile_key: body.risk_profile_key,
+  });
+  const { request_id, ...result } = signalEvaluateResponse.data;
+  return store.put(SIGNAL_EVALUATIONS, body.client_transaction_id, {
+    ...result,
+    ...applySignalRules(rules, result.scores, body.amount),
+    client_transaction_id: body.client_transaction_id,
+    user_id: userId,
+    item_id: item.item_id,
+    account_id: body.account_id,
+    amount: body.amount,
+    evaluated_at: new Date().toISOString(),
+  });
+};
+
+// A user's evaluations, most recent first, optionally only those for one
+// Item.
+const listEvaluations = (store, userId, { itemId } = {}) =>
+  store
+    .list(
+      SIGNAL_EVALUATIONS,
+      (evaluation) =>
+        evaluation.user_id === userId &&
+        (itemId == null || evaluation.item_id === itemId),
+    )
+    .sort((a, b) => b.evaluated_at.localeCompare(a.evaluated_at));
+
+// Returns a list of problems with a decision report body, empty if it is
+// valid.
+const validateDecisionReport = (body) => {
+  const errors = [];
+  if (typeof body.initiated !== 'boolean') {
+    errors.push('initiated must be true or false');
+  }
+  if (
+    body.days_funds_on_hold != null &&
+    !(Number.isInteger(body.days_funds_on_hold) && body.days_funds_on_hold >= 0)
+  ) {
+    errors.push('days_funds_on_hold must be a whole number of days');
+  }
+  if (
+    body.decision_outcome != null &&
+    !DECISION_OUTCOMES.includes(body.decision_outcome)
+  ) {
+    errors.push(
+      `decision_outcome must be one of ${DECISION_OUTCOMES.join(', ')}`,
+    );
+  }
+  if (
+    body.payment_method != null &&
+    !PAYMENT_METHODS.includes(body.payment_method)
+  ) {
+    errors.push(`payment_method must be one of ${PAYMENT_METHODS.join(', ')}`);
+  }
+  if (
+    body.amount_instantly_available != null &&
+    !(
+      typeof body.amount_instantly_available === 'number' &&
+      body.amount_instantly_available >= 0
+    )
+  ) {
+    errors.push('amount_instantly_available must be a non-negative number');
+  }
+  return errors;
+};
+
+// The decision_outcome Plaid expects for each of our recommendations.
+const RECOMMENDATION_OUTCOMES = {
+  approve: 'APPROVE',
+  review: 'REVIEW',
+  decline: 'REJECT',
+};
+
+// Tell Plaid whether the evaluated debit went ahead. The decision outcome
+// defaults to our recommendation.
+// https://plaid.com/docs/api/products/signal/#signaldecisionreport
+const reportDecision = async (client, store, evaluation, body) => {
+  const decision = {
+    initiated: body.initiated,
+    days_funds_on_hold: body.days_funds_on_hold,
+    decision_outcome:
+      body.decision_outcome ||
+      RECOMMENDATION_OUTCOMES[evaluation.recommendation],
+    payment_method: body.payment_method,
+    amount_instantly_available: body.amount_instantly_available,
+  };
+  await client.signalDecisionReport({
+    client_transaction_id: evaluation.client_transaction_id,
+    ...decision,
+  });
+  return store.update(SIGNAL_EVALUATIONS, evaluation.client_transaction_id, {
+    decision: { ...decision, reported_at: new Date().toISOString() },
+  });
+};
+
+// Returns a list of problems with a return report body, empty if it is valid.
+const validateReturnReport = (body) => {
+  const errors = [];
+  if (
+    typeof body.return_code !== 'string' ||
+    !/^R\d{2}$/.test(body.return_code)
+  ) {
+    errors.push('return_code must be an ACH return code such as R01');
+  }
+  if (body.returned_at != null && Number.isNaN(Date.parse(body.returned_at))) {
+    errors.push('returned_at must be an ISO 8601 date-time');
+  }
+  return errors;
+};
+
+// Tell Plaid that an evaluated debit was returned.
+// https://plaid.com/docs/api/products/signal/#signalreturnreport
+const reportReturn = async (client, store, evaluation, body) => {
+  const report = {
+    return_code: body.return_code,
+    returned_at: body.returned_at,
+  };
+  await client.signalReturnReport({
+    client_transaction_id: evaluation.client_transaction_id,
+    ...report,
+  });
+  return store.update(SIGNAL_EVALUATIONS, evaluation.client_transaction_id, {
+    return: { ...report, reported_at: new Date().toISOString() },
+  });
+};
+
+module.exports = {
+  DEFAULT_SIGNAL_RULES,
+  loadSignalRules,
+  validateEvaluationRequest,
+  applySignalRules,
+  evaluateSignal,
+  getEvaluation,
+  isEvaluated,
+  listEvaluations,
+  validateDecisionReport,
+  reportDecision,
+  validateReturnReport,
+  reportReturn,
+};
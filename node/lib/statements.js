@@ -0,0 +1,108 @@
+'use strict';
+
+// Helpers for the Statements product: listing an Item's statements across
+// all of its accounts and refreshing them for a chosen date range. Refreshes
+// finish asynchronously with a STATEMENTS_REFRESH_COMPLETE webhook; the
+// latest one's progress is kept on the Item.
+// https://plaid.com/docs/statements/
+
+const moment = require('moment');
+
+// The window used when a caller doesn't choose one.
+const DEFAULT_DAYS = 30;
+
+const isDate = (value) =>
+  typeof value === 'string' && moment(value, 'YYYY-MM-DD', true).isValid();
+
+// Returns a list of problems with a { start_date, end_date } range, empty if
+// it is valid.
+const validateDateRange = ({ start_date, end_date }) => {
+  const errors = [];
+  if (!isDate(start_date)) {
+    errors.push('start_date must be a date in YYYY-MM-DD format');
+  }
+  if (!isDate(end_date)) {
+    errors.push('end_date must be a date in YYYY-MM-DD format');
+  }
+  if (errors.length === 0) {
+    if (start_date > end_date) {
+      errors.push('start_date must not be after end_date');
+    }
+    if (end_date > moment().format('YYYY-MM-DD')) {
+      errors.push('end_date must not be in the future');
+    }
+  }
+  return errors;
+};
+
+// The last DEFAULT_DAYS days, as a date range.
+const defaultDateRange = () => ({
+  start_date: moment().subtract(DEFAULT_DAYS, 'days').format('YYYY-MM-DD'),
+  end_date: moment().format('YYYY-MM-DD'),
+});
+
+// Every statement on an Item, newest first, each with the account it
+// belongs to.
+// https://plaid.com/docs/api/products/statements/#statementslist
+const listStatements = async (client, item) => {
+  const statementsListResponse = await client.statementsList({
+    access_token: item.access_token,
+  });
+  const data = statementsListResponse.data;
+  const statements = [];
+  data.accounts.forEach((account) => {
+    account.statements.forEach((statement) => {
+      statements.push({
+        ...statement,
+        account_id: account.account_id,
+        account_name: account.account_name,
+        account_mask: account.account_mask,
+        account_type: account.account_type,
+        account_subtype: account.account_subtype,
+      });
+    });
+  });
+  statements.sort((a, b) => b.year - a.year || b.month - a.month);
+  return {
+    institution_id: data.institution_id,
+    institution_name: data.institution_name,
+    statements,
+  };
+};
+
+// Ask Plaid to fetch statements for a date range again. The result arrives
+// with the STATEMENTS_REFRESH_COMPLETE webhook.
+// https://plaid.com/docs/api/products/statements/#statementsrefresh
+const refreshStatements = async (client, store, item, range) => {
+  await client.statementsRefresh({
+    access_token: item.access_token,
+    start_date: range.start_date,
+    end_date: range.end_date,
+  });
+  return store.updateItem(item.item_id, {
+    statements_refresh: {
+      start_date: range.start_date,
+      end_date: range.end_date,
+      status: 'pending',
+      requested_at: new Date().toISOString(),
+    },
+  });
+};
+
+// Record the outcome ('SUCCESS' or 'FAILURE') of an Item's refresh.
+const markRefreshComplete = (store, item, result) =>
+  store.updateItem(item.item_id, {
+    statements_refresh: {
+      ...item.statements_refresh,
+      status: result === 'SUCCESS' ? 'complete' : 'failed',
+      completed_at: new Date().toISOString(),
+    },
+  });
+
+module.exports = {
+  validateDateRange,
+  defaultDateRange,
+  listStatements,
+  refreshStatements,
+  markRefreshComplete,
+};
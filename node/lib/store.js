@@ -0,0 +1,157 @@
+'use strict';
+
+// A small persistent store for the quickstart. Everything lives in a single
+// JSON document on disk, grouped into named collections of records keyed by
+// id. The `users` and `items` collections are managed through the helpers
+// below; other modules may keep their own collections with get/put/list.
+//
+// Writes are synchronous and atomic (write to a temp file, then rename), which
+// is plenty for a single-process sample app. In production, replace this with
+// a real database and encrypt access tokens at rest.
+
+const fs = require('fs');
+const path = require('path');
+
+const emptyDocument = () => ({ users: {}, items: {} });
+
+const load = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return emptyDocument();
+  }
+  return {
+    ...emptyDocument(),
+    ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+  };
+};
+
+const createStore = (filePath) => {
+  const data = load(filePath);
+  let batching = false;
+
+  const persist = () => {
+    if (batching) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  const collection = (name) => {
+    if (data[name] == null) {
+      data[name] = {};
+    }
+    return data[name];
+  };
+
+  const get = (name, id) => collection(name)[id] || null;
+
+  const put = (name, id, record) => {
+    collection(name)[id] = record;
+    persist();
+    return record;
+  };
+
+  const update = (name, id, patch) => {
+    const existing = get(name, id);
+    if (existing == null) {
+      return null;
+    }
+    return put(name, id, {
+      ...existing,
+      ...patch,
+      updated_at: new Date().toISOString(),
+    });
+  };
+
+  const remove = (name, id) => {
+    const existing = get(name, id);
+    if (existing != null) {
+      delete collection(name)[id];
+      persist();
+    }
+    return existing;
+  };
+
+  const list = (name, predicate = () => true) =>
+    Object.values(collection(name)).filter(predicate);
+
+  // Run `fn` with persistence deferred, writing the file once at the end.
+  // Use this when applying many changes at a time. Nested batches are part of
+  // the outermost one.
+  const batch = (fn) => {
+    if (batching) {
+      return fn();
+    }
+    batching = true;
+    try {
+      return fn();
+    } finally {
+      batching = false;
+      persist();
+    }
+  };
+
+  const ensureUser = (userId) => {
+    const existing = get('users', userId);
+    if (existing != null) {
+      return existing;
+    }
+    return put('users', userId, {
+      user_id: userId,
+      created_at: new Date().toISOString(),
+    });
+  };
+
+  const updateUser = (userId, patch) => {
+    ensureUser(userId);
+    return update('users', userId, patch);
+  };
+
+  // Items are returned oldest first, so the most recently linked Item is last.
+  const listItems = (userId) =>
+    list('items', (item) => item.user_id === userId).sort((a, b) =>
+      a.created_at.localeCompare(b.created_at),
+    );
+
+  const getLatestItem = (userId) => {
+    const items = listItems(userId);
+    return items.length > 0 ? items[items.length - 1] : null;
+  };
+
+  // Record a newly linked Item for a user. Re-linking an existing item_id
+  // (e.g. after update mode) keeps any state already stored against it.
+  const addItem = (userId, item) => {
+    ensureUser(userId);
+    const now = new Date().toISOString();
+    const existing = get('items', item.item_id);
+    return put('items', item.item_id, {
+      created_at: now,
+      ...existing,
+      ...item,
+      user_id: userId,
+      updated_at: now,
+    });
+  };
+
+  return {
+    get,
+    put,
+    update,
+    remove,
+    list,
+    batch,
+    ensureUser,
+    getUser: (userId) => get('users', userId),
+    updateUser,
+    addItem,
+    getItem: (itemId) => get('items', itemId),
+    updateItem: (itemId, patch) => update('items', itemId, patch),
+    removeItem: (itemId) => remove('items', itemId),
+    listItems,
+    getLatestItem,
+  };
+};
+
+module.exports = { createStore };
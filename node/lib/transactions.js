@@ -0,0 +1,145 @@
+'use strict';
+
+// Keeps a local copy of each Item's transactions up to date using
+// /transactions/sync. The sync cursor is stored on the Item, so each call only
+// fetches what changed since the previous one.
+// https://plaid.com/docs/transactions/sync-migration/
+
+const TRANSACTIONS = 'transactions';
+
+// How many times to wait for the initial pull when Plaid hasn't finished
+// extracting the Item's transactions yet.
+const MAX_NOT_READY_RETRIES = 5;
+
+// How many times to restart pagination when the Item keeps changing under
+// us, before giving up until the next sync.
+const MAX_MUTATION_RESTARTS = 3;
+
+// Thrown when the Item changed during every attempt to page through its
+// updates. Nothing has been applied; syncing again later is safe.
+class TransactionsSyncError extends Error {
+  constructor(message, itemId) {
+    super(message);
+    this.name = 'TransactionsSyncError';
+    this.itemId = itemId;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Page through /transactions/sync from `cursor` until has_more is false,
+// collecting every delta. If the Item changes while we're paginating, Plaid
+// asks us to restart from the original cursor; after MAX_MUTATION_RESTARTS
+// restarts a TransactionsSyncError is thrown.
+const fetchUpdates = async (client, item, cursor) => {
+  let added = [];
+  let modified = [];
+  let removed = [];
+  let nextCursor = cursor;
+  let hasMore = true;
+  let notReadyRetries = 0;
+  let mutationRestarts = 0;
+
+  while (hasMore) {
+    let syncResponse;
+    try {
+      syncResponse = await client.transactionsSync({
+        access_token: item.access_token,
+        cursor: nextCursor || undefined,
+      });
+    } catch (error) {
+      const errorCode = error.response && error.response.data.error_code;
+      if (errorCode !== 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION') {
+        throw error;
+      }
+      if (mutationRestarts === MAX_MUTATION_RESTARTS) {
+        throw new TransactionsSyncError(
+          `Item ${item.item_id} kept changing during /transactions/sync; try again later`,
+          item.item_id,
+        );
+      }
+      mutationRestarts += 1;
+      added = [];
+      modified = [];
+      removed = [];
+      nextCursor = cursor;
+      continue;
+    }
+    const data = syncResponse.data;
+
+    // An empty next_cursor means the initial pull hasn't completed yet.
+    if (!data.next_cursor) {
+      if (notReadyRetries === MAX_NOT_READY_RETRIES) {
+        break;
+      }
+      notReadyRetries += 1;
+      await sleep(2000);
+      continue;
+    }
+
+    added = added.concat(data.added);
+    modified = modified.concat(data.modified);
+    removed = removed.concat(data.removed);
+    hasMore = data.has_more;
+    nextCursor = data.next_cursor;
+  }
+
+  return { added, modified, removed, nextCursor };
+};
+
+// Bring the local ledger for `item` up to date. Deltas are only applied once
+// every page has been fetched, so a failure part way through leaves both the
+// ledger and the cursor untouched.
+const syncTransactions = async (client, store, item) => {
+  const cursor = item.transactions_cursor || null;
+  const { added, modified, removed, nextCursor } = await fetchUpdates(
+    client,
+    item,
+    cursor,
+  );
+
+  store.batch(() => {
+    added.concat(modified).forEach((transaction) => {
+      store.put(TRANSACTIONS, transaction.transaction_id, {
+        ...transaction,
+        item_id: item.item_id,
+      });
+    });
+    removed.forEach((transaction) => {
+      store.remove(TRANSACTIONS, transaction.transaction_id);
+    });
+    if (nextCursor !== cursor) {
+      store.updateItem(item.item_id, {
+        transactions_cursor: nextCursor,
+        transactions_synced_at: new Date().toISOString(),
+      });
+    }
+  });
+
+  return {
+    added: added.length,
+    modified: modified.length,
+    removed: removed.length,
+  };
+};
+
+// All locally stored transactions for an Item, most recent first.
+const listTransactions = (store, itemId) =>
+  store
+    .list(TRANSACTIONS, (transaction) => transaction.item_id === itemId)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+// Forget every locally stored transaction for an Item.
+const removeTransactions = (store, itemId) =>
+  store.batch(() => {
+    listTransactions(store, itemId).forEach((transaction) => {
+      store.remove(TRANSACTIONS, transaction.transaction_id);
+    });
+  });
+
+module.exports = {
+  TransactionsSyncError,
+  syncTransactions,
+  listTransactions,
+  removeTransactions,
+};
@@ -0,0 +1,244 @@
+'use strict';
+
+// Helpers for the Transfer product. Authorizations and the transfers created
+// from them are recorded locally against the user and Item, and transfer
+// statuses are kept up to date from the /transfer/event/sync feed.
+// https://plaid.com/docs/transfer/
+
+const { logger } = require('./logger');
+
+const TRANSFER_AUTHORIZATIONS = 'transfer_authorizations';
+const TRANSFERS = 'transfers';
+const TRANSFER_EVENTS = 'transfer_events';
+const SYNC_STATE = 'sync_state';
+
+// /transfer/event/sync returns at most 500 events per call.
+const EVENT_PAGE_SIZE = 500;
+
+// Event types that are also transfer statuses. Others, such as 'swept',
+// don't change the transfer's status.
+const STATUS_EVENT_TYPES = [
+  'pending',
+  'cancelled',
+  'failed',
+  'posted',
+  'settled',
+  'funds_available',
+  'returned',
+];
+
+const TYPES = ['debit', 'credit'];
+const NETWORKS = ['ach', 'same-day-ach', 'rtp', 'wire'];
+const ACH_CLASSES = ['ccd', 'ppd', 'tel', 'web'];
+
+// Returns a list of problems with an authorization request body, empty if
+// it is valid.
+const validateAuthorizationRequest = (body) => {
+  const errors = [];
+  if (!body.account_id) {
+    errors.push('account_id is required');
+  }
+  if (!/^\d+\.\d{2}$/.test(String(body.amount)) || !(Number(body.amount) > 0)) {
+    errors.push('amount must be a positive decimal string such as "12.34"');
+  }
+  if (!TYPES.includes(body.type)) {
+    errors.push(`type must be one of ${TYPES.join(', ')}`);
+  }
+  if (body.network != null && !NETWORKS.includes(body.network)) {
+    errors.push(`network must be one of ${NETWORKS.join(', ')}`);
+  }
+  if (body.ach_class != null && !ACH_CLASSES.includes(body.ach_class)) {
+    errors.push(`ach_class must be one of ${ACH_CLASSES.join(', ')}`);
+  }
+  if (body.user == null || !body.user.legal_name) {
+    errors.push('user.legal_name is required');
+  }
+  return errors;
+};
+
+// Ask Plaid to authorize a transfer and record the decision. Plaid returns
+// the original authorization when an idempotency_key is reused.
+const authorizeTransfer = async (client, store, userId, item, body) => {
+  const network = body.network || 'ach';
+  const isAch = network === 'ach' || network === 'same-day-ach';
+  const authorizationCreateResponse = await client.transferAuthorizationCreate({
+    access_token: item.access_token,
+    account_id: body.account_id,
+    type: body.type,
+    network,
+    amount: body.amount,
+    ach_class: isAch ? body.ach_class || 'ppd' : undefined,
+    user: body.user,
+    device: body.device,
+    user_present: body.user_present,
+    idempotency_key: body.idempotency_key,
+  });
+  const authorization = authorizationCreateResponse.data.authorization;
+  return store.put(TRANSFER_AUTHORIZATIONS, authorization.id, {
+    ...store.get(TRANSFER_AUTHORIZATIONS, authorization.id),
+    ...authorization,
+    user_id: userId,
+    item_id: item.item_id,
+    account_id: body.account_id,
+  });
+};
+
+const getAuthorization = (store, userId, authorizationId) => {
+  const authorization = store.get(TRANSFER_AUTHORIZATIONS, authorizationId);
+  return authorization != null && authorization.user_id === userId
+    ? authorization
+    : null;
+};
+
+const recordTransfer = (store, userId, itemId, transfer) =>
+  store.put(TRANSFERS, transfer.id, {
+    ...store.get(TRANSFERS, transfer.id),
+    ...transfer,
+    user_id: userId,
+    item_id: itemId,
+  });
+
+// Create the transfer for an approved authorization.
+const createTransfer = async (client, store, item, authorization, body) => {
+  const transferCreateResponse = await client.transferCreate({
+    access_token: item.access_token,
+    account_id: authorization.account_id,
+    authorization_id: authorization.id,
+    description: body.description,
+    idempotency_key: body.idempotency_key,
+    metadata: body.metadata,
+  });
+  const transfer = transferCreateResponse.data.transfer;
+  store.update(TRANSFER_AUTHORIZATIONS, authorization.id, {
+    transfer_id: transfer.id,
+  });
+  return recordTransfer(store, authorization.user_id, item.item_id, transfer);
+};
+
+const getTransfer = (store, userId, transferId) => {
+  const transfer = store.get(TRANSFERS, transferId);
+  return transfer != null && transfer.user_id === userId ? transfer : null;
+};
+
+// A user's transfers, most recent first, optionally only those for one Item
+// or in one status.
+const listTransfers = (store, userId, { itemId, status } = {}) =>
+  store
+    .list(
+      TRANSFERS,
+      (transfer) =>
+        transfer.user_id === userId &&
+        (itemId == null || transfer.item_id === itemId) &&
+        (status == null || transfer.status === status),
+    )
+    .sort((a, b) => b.created.localeCompare(a.created));
+
+// Events recorded for a transfer, oldest first.
+const listTransferEvents = (store, transferId) =>
+  store
+    .list(TRANSFER_EVENTS, (event) => event.transfer_id === transferId)
+    .sort((a, b) => a.event_id - b.event_id);
+
+// Fetch a transfer's current state from Plaid and record it locally.
+const refreshTransfer = async (client, store, transfer) => {
+  const transferGetResponse = await client.transferGet({
+    transfer_id: transfer.id,
+  });
+  return recordTransfer(
+    store,
+    transfer.user_id,
+    transfer.item_id,
+    transferGetResponse.data.transfer,
+  );
+};
+
+// Cancel a transfer. Plaid refuses unless the transfer is still cancellable,
+// which /transfer/get reports as `cancellable`.
+const cancelTransfer = async (client, store, transfer) => {
+  await client.transferCancel({ transfer_id: transfer.id });
+  return refreshTransfer(client, store, transfer);
+};
+
+// Fetch every transfer event since the last one we saw, store them, and apply
+// each status event to the transfer it belongs to. Returns the number of new
+// events.
+const syncTransferEvents = async (client, store) => {
+  const state = store.get(SYNC_STATE, TRANSFER_EVENTS) || { after_id: 0 };
+  let afterId = state.after_id;
+  let count = 0;
+
+  for (;;) {
+    const eventSyncResponse = await client.transferEventSync({
+      after_id: afterId,
+      count: EVENT_PAGE_SIZE,
+    });
+    const events = eventSyncResponse.data.transfer_events;
+    if (events.length === 0) {
+      break;
+    }
+    store.batch(() => {
+      events.forEach((event) => {
+        store.put(TRANSFER_EVENTS, String(event.event_id), event);
+        if (STATUS_EVENT_TYPES.includes(event.event_type)) {
+          store.update(TRANSFERS, event.transfer_id, {
+            status: event.event_type,
+            failure_reason: event.failure_reason,
+          });
+        }
+        afterId = Math.max(afterId, event.event_id);
+      });
+      store.put(SYNC_STATE, TRANSFER_EVENTS, {
+        after_id: afterId,
+        synced_at: new Date().toISOString(),
+      });
+    });
+    count += events.length;
+    if (events.length < EVENT_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return count;
+};
+
+// Run syncTransferEvents every `intervalMs`, as a fallback for missed
+// TRANSFER_EVENTS_UPDATE webhooks. Returns a function that stops the poller.
+const startTransferEventPoller = (client, store, intervalMs) => {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    syncTransferEvents(client, store)
+      .then((count) => {
+        if (count > 0) {
+          logger.info('Synced transfer events', { count });
+        }
+      })
+      .catch((error) => {
+        logger.warn('Transfer event sync failed', { error });
+      })
+      .then(() => {
+        running = false;
+      });
+  }, intervalMs);
+  // Don't keep the process alive just for the poller.
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  validateAuthorizationRequest,
+  authorizeTransfer,
+  getAuthorization,
+  recordTransfer,
+  createTransfer,
+  getTransfer,
+  listTransfers,
+  listTransferEvents,
+  refreshTransfer,
+  cancelTransfer,
+  syncTransferEvents,
+  startTransferEventPoller,
+};
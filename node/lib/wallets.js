@@ -0,0 +1,153 @@
+'use strict';
+
+// Solana wallets that users have proven they own. A user asks for a
+// challenge (Coinflow's auth message for their wallet), signs it with the
+// wallet, and sends back the signature. We check the signature ourselves
+// before handing it to Coinflow in exchange for a JWT, then remember the
+// wallet as belonging to the user.
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const nacl = require('tweetnacl');
+const { decodeUTF8 } = require('tweetnacl-util');
+const bs58 = require('bs58');
+
+const WALLETS = 'wallets';
+const WALLET_CHALLENGES = 'wallet_challenges';
+
+// How long a user has to sign a challenge.
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+const parsePublicKey = (wallet) => {
+  try {
+    return new PublicKey(wallet);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isValidWallet = (wallet) =>
+  typeof wallet === 'string' && parsePublicKey(wallet) != null;
+
+const challengeId = (userId, wallet) => `${userId}:${wallet}`;
+
+// Check a base58 detached signature of `message` by `wallet`.
+const verifySignature = (message, signature, wallet) => {
+  let signatureBytes;
+  try {
+    signatureBytes = bs58.decode(signature);
+  } catch (error) {
+    return false;
+  }
+  if (signatureBytes.length !== nacl.sign.signatureLength) {
+    return false;
+  }
+  return nacl.sign.detached.verify(
+    decodeUTF8(message),
+    signatureBytes,
+    parsePublicKey(wallet).toBytes(),
+  );
+};
+
+// The `exp` claim of a Coinflow JWT, in milliseconds, or null if it has none.
+const jwtExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'),
+    );
+    return payload.exp != null ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createChallenge = async (coinflow, store, userId, wallet) => {
+  const message = await coinflow.getAuthMessage(wallet);
+  return store.put(WALLET_CHALLENGES, challengeId(userId, wallet), {
+    user_id: userId,
+    wallet,
+    message,
+    created_at: new Date().toISOString(),
+  });
+};
+
+// Returns the user's unexpired challenge for a wallet, or null.
+const getChallenge = (store, userId, wallet) => {
+  const challenge = store.get(WALLET_CHALLENGES, challengeId(userId, wallet));
+  if (
+    challenge == null ||
+    Date.now() - Date.parse(challenge.created_at) > CHALLENGE_TTL_MS
+  ) {
+    return null;
+  }
+  return challenge;
+};
+
+// Exchange a verified signature for a Coinflow JWT and record the wallet as
+// the user's.
+const completeChallenge = async (coinflow, store, challenge, signature) => {
+  const jwt = await coinflow.authenticate(challenge.wallet, signature);
+  const expiry = jwtExpiry(jwt);
+  store.remove(
+    WALLET_CHALLENGES,
+    challengeId(challenge.user_id, challenge.wallet),
+  );
+  return store.put(WALLETS, challenge.wallet, {
+    ...store.get(WALLETS, challenge.wallet),
+    wallet: challenge.wallet,
+    user_id: challenge.user_id,
+    blockchain: coinflow.blockchain,
+    coinflow_jwt: jwt,
+    coinflow_jwt_expires_at:
+      expiry != null ? new Date(expiry).toISOString() : null,
+    verified_at: new Date().toISOString(),
+  });
+};
+
+const getWallet = (store, wallet) => store.get(WALLETS, wallet);
+
+// The user's verified wallets, most recently verified first.
+const listWallets = (store, userId) =>
+  store
+    .list(WALLETS, (record) => record.user_id === userId)
+    .sort((a, b) => b.verified_at.localeCompare(a.verified_at));
+
+const getLatestWallet = (store, userId) =>
+  listWallets(store, userId)[0] || null;
+
+const isJwtExpired = (walletRecord) =>
+  walletRecord.coinflow_jwt_expires_at != null &&
+  Date.parse(walletRecord.coinflow_jwt_expires_at) <= Date.now();
+
+// The fields of a wallet record that are safe to return to a client.
+const publicWallet = (walletRecord) => {
+  const { coinflow_jwt, ...rest } = walletRecord;
+  return rest;
+};
+
+// Sandbox only: generate a throwaway keypair to stand in for a user's wallet
+// and authenticate it with Coinflow. The secret key is discarded, so nothing
+// can ever be done with the wallet afterwards.
+const createMockWallet = async (coinflow) => {
+  const keypair = Keypair.generate();
+  const wallet = keypair.publicKey.toString();
+  const message = await coinflow.getAuthMessage(wallet);
+  const signature = bs58.encode(
+    nacl.sign.detached(decodeUTF8(message), keypair.secretKey),
+  );
+  const jwt = await coinflow.authenticate(wallet, signature);
+  return { wallet, coinflow_jwt: jwt };
+};
+
+module.exports = {
+  isValidWallet,
+  verifySignature,
+  createChallenge,
+  getChallenge,
+  completeChallenge,
+  getWallet,
+  listWallets,
+  getLatestWallet,
+  isJwtExpired,
+  publicWallet,
+  createMockWallet,
+};
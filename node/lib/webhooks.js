@@ -0,0 +1,210 @@
+'use strict';
+
+// Verification and handling of Plaid webhooks.
+// https://plaid.com/docs/api/webhooks/webhook-verification/
+
+const crypto = require('crypto');
+const { syncTransactions } = require('./transactions');
+const { syncTransferEvents } = require('./transfers');
+const { markReady, markFailed } = require('./assets');
+const { markRefreshComplete } = require('./statements');
+const { markIncomeStatus } = require('./income');
+
+// Webhooks signed more than this long ago are rejected, to limit replays.
+const MAX_WEBHOOK_AGE_SECONDS = 5 * 60;
+
+// Verification keys are re-fetched after this long so that we notice when
+// Plaid expires one.
+const KEY_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Returns an async function that checks a `Plaid-Verification` JWT against
+// the raw request body, throwing a WebhookVerificationError if it doesn't
+// hold up. Keys from /webhook_verification_key/get are cached by key id.
+const createWebhookVerifier = (client) => {
+  const keyCache = new Map();
+
+  const getKey = async (keyId) => {
+    const cached = keyCache.get(keyId);
+    if (cached != null && Date.now() - cached.fetchedAt < KEY_CACHE_TTL_MS) {
+      return cached.key;
+    }
+    const keyResponse = await client.webhookVerificationKeyGet({
+      key_id: keyId,
+    });
+    const key = keyResponse.data.key;
+    keyCache.set(keyId, { key, fetchedAt: Date.now() });
+    return key;
+  };
+
+  return async (token, rawBody) => {
+    if (!token || rawBody == null) {
+      throw new WebhookVerificationError('Missing Plaid-Verification header');
+    }
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw new WebhookVerificationError('Malformed Plaid-Verification JWT');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = segments;
+
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(encodedHeader);
+      payload = decodeSegment(encodedPayload);
+    } catch (error) {
+      throw new WebhookVerificationError('Malformed Plaid-Verification JWT');
+    }
+    if (header.alg !== 'ES256') {
+      throw new WebhookVerificationError(`Unexpected JWT alg ${header.alg}`);
+    }
+
+    const jwk = await getKey(header.kid);
+    if (jwk.expired_at != null) {
+      throw new WebhookVerificationError(`Key ${header.kid} has expired`);
+    }
+    const publicKey = crypto.createPublicKey({
+      key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      format: 'jwk',
+    });
+    const validSignature = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(encodedSignature, 'base64url'),
+    );
+    if (!validSignature) {
+      throw new WebhookVerificationError('Invalid webhook signature');
+    }
+
+    // Without a numeric iat the age check can't be made, so the token could
+    // be replayed indefinitely.
+    if (!Number.isFinite(payload.iat)) {
+      throw new WebhookVerificationError('Webhook JWT has no valid iat');
+    }
+    if (Date.now() / 1000 - payload.iat > MAX_WEBHOOK_AGE_SECONDS) {
+      throw new WebhookVerificationError('Webhook is too old');
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    const expectedHash = Buffer.from(String(payload.request_body_sha256));
+    if (
+      expectedHash.length !== bodyHash.length ||
+      !crypto.timingSafeEqual(Buffer.from(bodyHash), expectedHash)
+    ) {
+      throw new WebhookVerificationError('Webhook body hash does not match');
+    }
+  };
+};
+
+// Handlers keyed by `${webhook_type}.${webhook_code}`. Each receives the
+// webhook body, the Item it refers to (if we know it) and the
+// { client, store, cache } context.
+const handlers = {
+  'TRANSACTIONS.SYNC_UPDATES_AVAILABLE': async (
+    body,
+    item,
+    { client, store },
+  ) => {
+    if (item != null) {
+      await syncTransactions(client, store, item);
+    }
+  },
+
+  'ASSETS.PRODUCT_READY': async (body, item, { store }) => {
+    markReady(store, body.asset_report_id);
+  },
+
+  'ASSETS.ERROR': async (body, item, { store }) => {
+    markFailed(store, body.asset_report_id, body.error);
+  },
+
+  'ITEM.ERROR': async (body, item, { store }) => {
+    if (item != null) {
+      store.updateItem(item.item_id, { error: body.error });
+    }
+  },
+
+  'ITEM.PENDING_EXPIRATION': async (body, item, { store }) => {
+    if (item != null) {
+      store.updateItem(item.item_id, {
+        consent_expiration_time: body.consent_expiration_time,
+      });
+    }
+  },
+
+  'ITEM.USER_PERMISSION_REVOKED': async (body, item, { store }) => {
+    if (item != null) {
+      store.updateItem(item.item_id, { error: body.error });
+    }
+  },
+
+  // The user fixed the Item outside of our update mode flow, e.g. by
+  // logging in through another app that uses Plaid.
+  'ITEM.LOGIN_REPAIRED': async (body, item, { store }) => {
+    if (item != null) {
+      store.updateItem(item.item_id, { error: null });
+    }
+  },
+
+  // Accounts can be added with an account selection update mode link token.
+  'ITEM.NEW_ACCOUNTS_AVAILABLE': async (body, item, { store }) => {
+    if (item != null) {
+      store.updateItem(item.item_id, { new_accounts_available: true });
+    }
+  },
+
+  'STATEMENTS.STATEMENTS_REFRESH_COMPLETE': async (body, item, { store }) => {
+    if (item != null) {
+      markRefreshComplete(store, item, body.result);
+    }
+  },
+
+  // Income webhooks are about a Plaid user (see lib/income.js), not an Item.
+  'INCOME.INCOME_VERIFICATION': async (body, item, { store }) => {
+    markIncomeStatus(store, body.user_id, body.verification_status);
+  },
+
+  'BANK_INCOME_REFRESH.BANK_INCOME_REFRESH_COMPLETE': async (
+    body,
+    item,
+    { store },
+  ) => {
+    markIncomeStatus(store, body.user_id, body.result);
+  },
+
+  'TRANSFER.TRANSFER_EVENTS_UPDATE': async (body, item, { client, store }) => {
+    await syncTransferEvents(client, store);
+  },
+};
+
+// Route a verified webhook to its handler. Returns false if we don't handle
+// this kind of webhook. Any webhook about an Item means its data may have
+// changed, so the Item's cached responses are dropped first.
+const handleWebhook = async (body, context) => {
+  if (body.item_id && context.cache != null) {
+    context.cache.invalidate(body.item_id);
+  }
+  const handler = handlers[`${body.webhook_type}.${body.webhook_code}`];
+  if (handler == null) {
+    return false;
+  }
+  const item = body.item_id ? context.store.getItem(body.item_id) : null;
+  await handler(body, item, context);
+  return true;
+};
+
+module.exports = {
+  WebhookVerificationError,
+  createWebhookVerifier,
+  handleWebhook,
+};
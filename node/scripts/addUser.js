@@ -0,0 +1,47 @@
+'use strict';
+
+// Add a user to the local identity provider (AUTH_PROVIDER=local), or reset
+// an existing user's password:
+//
+//   npm run add-user -- <username>
+//
+// The password is read from standard input. Stop the server first, since it
+// keeps its own copy of the store and would overwrite the change.
+
+require('dotenv').config();
+const path = require('path');
+const readline = require('readline');
+const { createStore } = require('../lib/store');
+const { createLocalProvider } = require('../lib/auth');
+
+const DATA_STORE_PATH =
+  process.env.DATA_STORE_PATH ||
+  path.join(__dirname, '..', 'data', 'store.json');
+
+const readPassword = () =>
+  new Promise((resolve) => {
+    const input = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    input.question('Password: ', (password) => {
+      input.close();
+      resolve(password);
+    });
+  });
+
+const main = async () => {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: npm run add-user -- <username>');
+    process.exit(1);
+  }
+  const provider = createLocalProvider(createStore(DATA_STORE_PATH));
+  await provider.setPassword(username, await readPassword());
+  console.log(`Saved user ${username}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
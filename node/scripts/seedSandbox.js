@@ -0,0 +1,127 @@
+'use strict';
+
+// Seed a user with Sandbox Items through a running server's /api/sandbox
+// routes, for scripted testing without clicking through Link:
+//
+//   npm run seed-sandbox -- <user_id> [options]
+//
+// Options:
+//   --item <institution_id>[:<product>,...]  an Item to create, e.g.
+//       ins_109508:transactions,auth. May be repeated. Defaults to one Item
+//       at First Platypus Bank (ins_109508) with the server's PLAID_PRODUCTS.
+//   --sandbox-user <username>  the Sandbox user to log in to the institution
+//       as, e.g. user_transactions_dynamic (user_good by default)
+//   --server <url>  the server's URL (http://localhost:APP_PORT by default)
+//
+// With AUTH_PROVIDER=local the user must exist (see `npm run add-user`), and
+// their password is read from standard input.
+
+require('dotenv').config();
+const readline = require('readline');
+
+const USAGE =
+  'Usage: npm run seed-sandbox -- <user_id> [--item <institution_id>[:<product>,...]]... [--sandbox-user <username>] [--server <url>]';
+
+const parseArgs = (argv) => {
+  const args = { userId: null, items: [], sandboxUser: null, server: null };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const value = argv[index + 1];
+    if (arg === '--item' && value != null) {
+      const [institutionId, products] = value.split(':');
+      args.items.push({
+        institution_id: institutionId,
+        products: products ? products.split(',') : undefined,
+      });
+      index += 1;
+    } else if (arg === '--sandbox-user' && value != null) {
+      args.sandboxUser = value;
+      index += 1;
+    } else if (arg === '--server' && value != null) {
+      args.server = value;
+      index += 1;
+    } else if (!arg.startsWith('--') && args.userId == null) {
+      args.userId = arg;
+    } else {
+      throw new Error(USAGE);
+    }
+  }
+  if (args.userId == null) {
+    throw new Error(USAGE);
+  }
+  if (args.items.length === 0) {
+    args.items.push({ institution_id: undefined, products: undefined });
+  }
+  return args;
+};
+
+const readPassword = () =>
+  new Promise((resolve) => {
+    const input = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    input.question('Password: ', (password) => {
+      input.close();
+      resolve(password);
+    });
+  });
+
+const parseJson = async (response) => {
+  const body = await response.json();
+  if (!response.ok) {
+    const error = body.error || {};
+    throw new Error(
+      `${response.status} ${error.error_code}: ${error.error_message}`,
+    );
+  }
+  return body;
+};
+
+// Headers that identify the user to the server: X-User-Id with
+// AUTH_PROVIDER=none, and otherwise a session cookie and CSRF token from
+// logging in.
+const authenticate = async (server, userId) => {
+  if (process.env.AUTH_PROVIDER === 'none') {
+    return { 'X-User-Id': userId };
+  }
+  const response = await fetch(`${server}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: userId, password: await readPassword() }),
+  });
+  const session = await parseJson(response);
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+  return { Cookie: cookie, 'X-CSRF-Token': session.csrf_token };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const server =
+    args.server || `http://localhost:${process.env.APP_PORT || 8000}`;
+  const headers = {
+    ...(await authenticate(server, args.userId)),
+    'Content-Type': 'application/json',
+  };
+  for (const item of args.items) {
+    const response = await fetch(`${server}/api/sandbox/items`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        ...item,
+        override_username: args.sandboxUser || undefined,
+      }),
+    });
+    const created = await parseJson(response);
+    console.log(
+      `Created Item ${created.item_id} at ${
+        item.institution_id || 'the default institution'
+      } with ${created.products.join(', ')}`,
+    );
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
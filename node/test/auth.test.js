@@ -0,0 +1,331 @@
+'use strict';
+
+// Logins, sessions and CSRF tokens, first through lib/auth.js and then
+// against the server itself. None of the routes used call Plaid.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../lib/store');
+const {
+  createLocalProvider,
+  createSessions,
+  parseCookies,
+  sessionCookie,
+  isValidCsrfToken,
+} = require('../lib/auth');
+
+const tempDirs = [];
+
+const tempStorePath = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'store.json');
+};
+
+after(() => {
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('createLocalProvider', () => {
+  const store = createStore(tempStorePath());
+  const provider = createLocalProvider(store);
+
+  before(() => provider.setPassword('alice', 'correct horse'));
+
+  it('logs in with the right password', async () => {
+    assert.deepStrictEqual(
+      await provider.authenticate({
+        username: 'alice',
+        password: 'correct horse',
+      }),
+      { user_id: 'alice', username: 'alice' },
+    );
+  });
+
+  it('refuses a wrong password or an unknown user', async () => {
+    assert.strictEqual(
+      await provider.authenticate({ username: 'alice', password: 'wrong' }),
+      null,
+    );
+    assert.strictEqual(
+      await provider.authenticate({ username: 'bob', password: 'wrong' }),
+      null,
+    );
+    assert.strictEqual(
+      await provider.authenticate({ username: 'alice', password: 123 }),
+      null,
+    );
+  });
+
+  it('stores an scrypt hash rather than the password', () => {
+    const account = store.get('local_accounts', 'alice');
+    assert.match(
+      account.password_hash,
+      /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/,
+    );
+    assert.ok(!account.password_hash.includes('correct horse'));
+  });
+
+  it('rejects short passwords and unusable usernames', async () => {
+    await assert.rejects(
+      provider.setPassword('alice', 'short'),
+      /8 characters/,
+    );
+    await assert.rejects(
+      provider.setPassword('alice smith', 'long enough'),
+      /Usernames may only contain/,
+    );
+  });
+});
+
+describe('createSessions', () => {
+  const user = { user_id: 'alice', username: 'alice' };
+
+  it('finds a session by the id in its cookie until it is destroyed', () => {
+    const store = createStore(tempStorePath());
+    const sessions = createSessions(store, { ttlMs: 60 * 1000 });
+
+    const { sessionId, session } = sessions.create(user, 'local');
+
+    assert.strictEqual(sessions.get(sessionId).user_id, 'alice');
+    // Only a hash of the id is stored.
+    assert.notStrictEqual(session.key, sessionId);
+    assert.strictEqual(store.get('sessions', sessionId), null);
+    sessions.destroy(sessionId);
+    assert.strictEqual(sessions.get(sessionId), null);
+  });
+
+  it('ignores expired and unknown sessions', () => {
+    const sessions = createSessions(createStore(tempStorePath()), {
+      ttlMs: -1,
+    });
+
+    const { sessionId } = sessions.create(user, 'local');
+
+    assert.strictEqual(sessions.get(sessionId), null);
+    assert.strictEqual(sessions.get('made-up'), null);
+    assert.strictEqual(sessions.get(undefined), null);
+  });
+
+  it('checks CSRF tokens against the session', () => {
+    const sessions = createSessions(createStore(tempStorePath()), {
+      ttlMs: 60 * 1000,
+    });
+    const { session } = sessions.create(user, 'local');
+
+    assert.strictEqual(isValidCsrfToken(session, session.csrf_token), true);
+    assert.strictEqual(isValidCsrfToken(session, undefined), false);
+    assert.strictEqual(isValidCsrfToken(session, 'wrong'), false);
+    assert.strictEqual(
+      isValidCsrfToken(session, session.csrf_token.replace(/.$/, '!')),
+      false,
+    );
+  });
+});
+
+describe('session cookies', () => {
+  it('are HttpOnly, limited to /api and Secure when asked', () => {
+    const cookie = sessionCookie('quickstart_session', 'abc', {
+      maxAgeMs: 60 * 1000,
+      secure: true,
+    });
+    assert.strictEqual(
+      cookie,
+      'quickstart_session=abc; Path=/api; Max-Age=60; HttpOnly; SameSite=Lax; Secure',
+    );
+    assert.deepStrictEqual(parseCookies('a=1; quickstart_session=abc'), {
+      a: '1',
+      quickstart_session: 'abc',
+    });
+  });
+});
+
+// Find a port nothing is listening on.
+const freePort = () =>
+  new Promise((resolve) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const startServer = (env) =>
+  spawn(process.execPath, ['index.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PLAID_ENV: 'sandbox',
+      LOG_LEVEL: 'error',
+      TRANSFER_EVENT_POLL_SECONDS: '0',
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+
+describe('API authentication', () => {
+  const ALLOWED_ORIGIN = 'http://app.example.com';
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const storePath = tempStorePath();
+    await createLocalProvider(createStore(storePath)).setPassword(
+      'alice',
+      'correct horse',
+    );
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = startServer({
+      APP_PORT: String(port),
+      AUTH_PROVIDER: 'local',
+      DATA_STORE_PATH: storePath,
+      CORS_ORIGINS: ALLOWED_ORIGIN,
+    });
+    // Wait for it to answer.
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await fetch(`${baseUrl}/api/session`);
+        return;
+      } catch (error) {
+        if (attempt >= 100) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+  });
+
+  after(() => {
+    server.kill();
+  });
+
+  const logIn = (password) =>
+    fetch(`${baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'alice', password }),
+    });
+
+  const postInfo = (cookie, csrfToken) =>
+    fetch(`${baseUrl}/api/info`, {
+      method: 'POST',
+      headers: {
+        Cookie: cookie,
+        ...(csrfToken != null ? { 'X-CSRF-Token': csrfToken } : {}),
+      },
+    });
+
+  it('requires a session', async () => {
+    const response = await fetch(`${baseUrl}/api/session`);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(
+      (await response.json()).error.error_code,
+      'UNAUTHENTICATED',
+    );
+  });
+
+  it('starts a session for the right password', async () => {
+    const response = await logIn('correct horse');
+    assert.strictEqual(response.status, 200);
+    const session = await response.json();
+    assert.strictEqual(session.user_id, 'alice');
+    assert.ok(session.csrf_token);
+    assert.match(response.headers.get('set-cookie'), /HttpOnly/);
+
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const sessionResponse = await fetch(`${baseUrl}/api/session`, {
+      headers: { Cookie: cookie },
+    });
+    assert.strictEqual((await sessionResponse.json()).username, 'alice');
+  });
+
+  it('refuses a wrong password', async () => {
+    const response = await logIn('wrong password');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('set-cookie'), null);
+    assert.strictEqual(
+      (await response.json()).error.error_code,
+      'INVALID_CREDENTIALS',
+    );
+  });
+
+  it('requires the CSRF token for anything but a read', async () => {
+    const response = await logIn('correct horse');
+    const { csrf_token: csrfToken } = await response.json();
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+
+    const missing = await postInfo(cookie, null);
+    assert.strictEqual(missing.status, 403);
+    assert.strictEqual(
+      (await missing.json()).error.error_code,
+      'INVALID_CSRF_TOKEN',
+    );
+    const wrong = await postInfo(cookie, `${csrfToken}x`);
+    assert.strictEqual(wrong.status, 403);
+    const valid = await postInfo(cookie, csrfToken);
+    assert.strictEqual(valid.status, 200);
+  });
+
+  it('only lets listed origins read responses', async () => {
+    const allowed = await logIn('correct horse');
+    const blocked = await fetch(`${baseUrl}/api/login`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: 'http://evil.example.com',
+        'Access-Control-Request-Method': 'POST',
+      },
+    });
+    const preflight = await fetch(`${baseUrl}/api/login`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: ALLOWED_ORIGIN,
+        'Access-Control-Request-Method': 'POST',
+      },
+    });
+
+    assert.strictEqual(
+      allowed.headers.get('access-control-allow-origin'),
+      null,
+    );
+    assert.strictEqual(
+      blocked.headers.get('access-control-allow-origin'),
+      null,
+    );
+    assert.strictEqual(
+      preflight.headers.get('access-control-allow-origin'),
+      ALLOWED_ORIGIN,
+    );
+    assert.strictEqual(
+      preflight.headers.get('access-control-allow-credentials'),
+      'true',
+    );
+  });
+});
+
+describe('AUTH_PROVIDER=none', () => {
+  it('is refused outside of Sandbox and mock mode', async () => {
+    const server = startServer({
+      APP_PORT: String(await freePort()),
+      AUTH_PROVIDER: 'none',
+      PLAID_ENV: 'production',
+      DATA_STORE_PATH: tempStorePath(),
+    });
+    let stderr = '';
+    server.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    const code = await new Promise((resolve) => server.on('exit', resolve));
+
+    assert.notStrictEqual(code, 0);
+    assert.match(
+      stderr,
+      /AUTH_PROVIDER=none only works with PLAID_ENV=sandbox or mock/,
+    );
+  });
+});
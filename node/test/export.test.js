@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createExport } = require('../lib/export');
+
+// Two checking accounts whose ids only differ after the 22nd character.
+const account = (accountId) => ({
+  account_id: accountId,
+  name: 'Plaid Checking',
+  mask: '0000',
+  type: 'depository',
+  subtype: 'checking',
+  balances: { current: 110, available: 100, iso_currency_code: 'USD' },
+});
+
+const DATA = {
+  item: { institution_id: 'ins_109508', institution_name: 'First Platypus' },
+  accounts: [
+    account('BxBXxLj1m4HMXBm9WZZmCWVbPjX16EHwv99vp1'),
+    account('BxBXxLj1m4HMXBm9WZZmCWVbPjX16EHwv99vp2'),
+  ],
+};
+
+const NO_FILTERS = { accountIds: null, startDate: null, endDate: null };
+
+const exportBalances = (format, data = DATA, options = {}) =>
+  Array.from(
+    createExport('balances', format, data, NO_FILTERS, {
+      now: new Date('2024-01-02T03:04:05Z'),
+      ...options,
+    }).body,
+  ).join('');
+
+const values = (ofx, name) =>
+  Array.from(
+    ofx.matchAll(new RegExp(`<${name}>([^<]*)</${name}>`, 'g')),
+    (match) => match[1],
+  );
+
+describe('OFX exports', () => {
+  it('give every account its own ACCTID of at most 22 characters', () => {
+    const accountIds = values(exportBalances('ofx'), 'ACCTID');
+
+    assert.strictEqual(accountIds.length, 2);
+    assert.notStrictEqual(accountIds[0], accountIds[1]);
+    accountIds.forEach((accountId) => assert.ok(accountId.length <= 22));
+    // The same account gets the same ACCTID in the next export.
+    assert.deepStrictEqual(values(exportBalances('ofx'), 'ACCTID'), accountIds);
+  });
+
+  it("use Auth's routing numbers as BANKID when there are any", () => {
+    const withAuth = exportBalances('ofx', {
+      ...DATA,
+      numbers: {
+        ach: [
+          {
+            account_id: DATA.accounts[0].account_id,
+            account: '1111222233330000',
+            routing: '011401533',
+          },
+        ],
+      },
+    });
+
+    assert.deepStrictEqual(values(withAuth, 'BANKID'), [
+      '011401533',
+      '000000000',
+    ]);
+    assert.deepStrictEqual(values(exportBalances('ofx'), 'BANKID'), [
+      '000000000',
+      '000000000',
+    ]);
+  });
+
+  it('include the INTU.BID Quicken needs in QFX only', () => {
+    assert.deepStrictEqual(
+      values(exportBalances('qfx', DATA, { intuBid: '3000' }), 'INTU.BID'),
+      ['3000'],
+    );
+    assert.deepStrictEqual(
+      values(exportBalances('ofx', DATA, { intuBid: '3000' }), 'INTU.BID'),
+      [],
+    );
+  });
+});
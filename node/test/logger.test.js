@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { redact, withContext, createLogger } = require('../lib/logger');
+
+describe('redact', () => {
+  it('removes tokens and secrets by field name', () => {
+    assert.deepStrictEqual(
+      redact({
+        access_token: 'access-sandbox-123',
+        userToken: 'user-sandbox-456',
+        'PLAID-SECRET': 'abc',
+        password: 'hunter2',
+        item_id: 'item-1',
+      }),
+      {
+        access_token: '[REDACTED]',
+        userToken: '[REDACTED]',
+        'PLAID-SECRET': '[REDACTED]',
+        password: '[REDACTED]',
+        item_id: 'item-1',
+      },
+    );
+  });
+
+  it('keeps the last four digits of account numbers', () => {
+    assert.deepStrictEqual(
+      redact({
+        account: '1111222233330000',
+        routingNumber: 11101,
+        sortCode: '12',
+      }),
+      { account: '****0000', routingNumber: '****1101', sortCode: '****' },
+    );
+  });
+
+  it('removes customer data, including whole objects and lists', () => {
+    assert.deepStrictEqual(
+      redact({
+        owners: [
+          {
+            names: ['Alberta Charleson'],
+            emails: [{ data: 'alberta@example.com' }],
+            addresses: [{ data: { city: 'Malakoff' } }],
+            phone_numbers: [{ data: '1112224444' }],
+          },
+        ],
+        first_name: 'Alberta',
+        ssn: '123-45-6789',
+      }),
+      {
+        owners: [
+          {
+            names: '[REDACTED]',
+            emails: '[REDACTED]',
+            addresses: '[REDACTED]',
+            phone_numbers: '[REDACTED]',
+          },
+        ],
+        first_name: '[REDACTED]',
+        ssn: '[REDACTED]',
+      },
+    );
+  });
+
+  it('catches tokens, JWTs, SSNs and emails inside other strings', () => {
+    assert.strictEqual(
+      redact('exchanged public-sandbox-1a2b for access-production-3c4d-5e6f'),
+      'exchanged [REDACTED_TOKEN] for [REDACTED_TOKEN]',
+    );
+    assert.strictEqual(
+      redact('header eyJhbGciOi.eyJpYXQiOj.c2lnbmF0dXJl sent'),
+      'header [REDACTED_JWT] sent',
+    );
+    assert.strictEqual(
+      redact('ssn 123-45-6789, email jane.doe+plaid@example.co.uk'),
+      'ssn [REDACTED_SSN], email [REDACTED_EMAIL]',
+    );
+  });
+
+  it('copies an object referenced twice both times', () => {
+    const balances = { current: 110, available: 100 };
+    assert.deepStrictEqual(
+      redact({ before: balances, after: balances, list: [balances, balances] }),
+      {
+        before: balances,
+        after: balances,
+        list: [balances, balances],
+      },
+    );
+  });
+
+  it('cuts cycles short', () => {
+    const item = { item_id: 'item-1', accounts: [] };
+    item.accounts.push({ account_id: 'account-1', item });
+    assert.deepStrictEqual(redact(item), {
+      item_id: 'item-1',
+      accounts: [{ account_id: 'account-1', item: '[Circular]' }],
+    });
+  });
+
+  it("logs Plaid's error from a failed call, not the request config", () => {
+    const error = new Error('Request failed with status code 400');
+    error.config = { headers: { 'PLAID-SECRET': 'abc' } };
+    error.response = {
+      status: 400,
+      data: {
+        error_code: 'INVALID_ACCESS_TOKEN',
+        request_id: 'req-1',
+        access_token: 'access-sandbox-123',
+      },
+    };
+
+    const redacted = redact({ error }).error;
+
+    assert.strictEqual(redacted.message, 'Request failed with status code 400');
+    assert.strictEqual(redacted.status, 400);
+    assert.deepStrictEqual(redacted.response, {
+      error_code: 'INVALID_ACCESS_TOKEN',
+      request_id: 'req-1',
+      access_token: '[REDACTED]',
+    });
+    assert.strictEqual(redacted.config, undefined);
+  });
+
+  it('describes buffers instead of logging them', () => {
+    assert.deepStrictEqual(redact({ pdf: Buffer.alloc(3) }), {
+      pdf: '[Buffer 3 bytes]',
+    });
+  });
+});
+
+describe('createLogger', () => {
+  const captureLogger = (options) => {
+    const lines = [];
+    const logger = createLogger({
+      ...options,
+      write: (line) => lines.push(JSON.parse(line)),
+    });
+    return { logger, lines };
+  };
+
+  it('writes redacted entries with the fields of the current context', () => {
+    const { logger, lines } = captureLogger();
+
+    withContext({ request_id: 'req-1' }, () => {
+      logger.info('Exchanged token', { access_token: 'access-sandbox-123' });
+    });
+
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].level, 'info');
+    assert.strictEqual(lines[0].msg, 'Exchanged token');
+    assert.strictEqual(lines[0].request_id, 'req-1');
+    assert.strictEqual(lines[0].access_token, '[REDACTED]');
+  });
+
+  it('drops entries below its level', () => {
+    const { logger, lines } = captureLogger({ level: 'warn' });
+
+    logger.info('ignored');
+    logger.error('kept');
+    logger.setLevel('debug');
+    logger.debug('kept too');
+
+    assert.deepStrictEqual(
+      lines.map((line) => line.msg),
+      ['kept', 'kept too'],
+    );
+    assert.throws(() => logger.setLevel('verbose'), /Unknown log level/);
+  });
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+// The mock and recorder of lib/mockApi.js, mounted on their own server with a
+// temporary fixtures folder, and the fake Plaid as the recorder's upstream.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const { createFakePlaid } = require('../lib/fakePlaid');
+const { createMockApi, createRecorder } = require('../lib/mockApi');
+
+const silentLogger = { info: () => {}, warn: () => {} };
+
+const writeJson = (filePath, value) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value));
+};
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+const close = (server) => {
+  server.closeAllConnections();
+  server.close();
+};
+
+// Send a request with its path exactly as given; fetch would resolve '..'.
+const send = (port, method, requestPath, body) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: requestPath,
+        headers: { 'Content-Type': 'application/json' },
+      },
+      (response) => {
+        let data = '';
+        response.on('data', (chunk) => {
+          data += chunk;
+        });
+        response.on('end', () =>
+          resolve({ status: response.statusCode, body: JSON.parse(data) }),
+        );
+      },
+    );
+    request.on('error', reject);
+    request.end(body != null ? JSON.stringify(body) : undefined);
+  });
+
+// An app with the body parsing of index.js, which keeps the raw body.
+const createApp = () => {
+  const app = express();
+  app.use(
+    bodyParser.json({
+      verify: (request, response, buffer) => {
+        request.rawBody = buffer;
+      },
+    }),
+  );
+  return app;
+};
+
+describe('createMockApi', () => {
+  let root;
+  let server;
+  let port;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-api-test-'));
+    const fixturesPath = path.join(root, 'fixtures');
+    writeJson(path.join(fixturesPath, 'plaid', 'accounts', 'get.json'), {
+      status: 200,
+      body: { accounts: [], request_id: 'fixture' },
+    });
+    writeJson(path.join(fixturesPath, 'scenarios', 'login_required.json'), {
+      plaid: {
+        'POST /accounts/get': {
+          status: 400,
+          body: { error_code: 'ITEM_LOGIN_REQUIRED' },
+        },
+      },
+    });
+    // Next to the fixtures, where no request should reach.
+    writeJson(path.join(root, 'secret.json'), { status: 200, body: 'secret' });
+
+    const app = createApp();
+    app.use(
+      '/__mock',
+      createMockApi({
+        fixturesPath,
+        scenario: '',
+        webhookUrl: 'http://127.0.0.1:1/api/webhook',
+        logger: silentLogger,
+      }),
+    );
+    server = await listen(app);
+    port = server.address().port;
+  });
+
+  after(() => {
+    close(server);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('answers with the fixture for the request', async () => {
+    const response = await send(port, 'POST', '/__mock/plaid/accounts/get', {});
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.request_id, 'fixture');
+  });
+
+  it("answers with the scenario's response instead", async () => {
+    await send(port, 'PUT', '/__mock/scenario', { scenario: 'login_required' });
+    const response = await send(port, 'POST', '/__mock/plaid/accounts/get', {});
+    await send(port, 'PUT', '/__mock/scenario', { scenario: null });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error_code, 'ITEM_LOGIN_REQUIRED');
+  });
+
+  it('only reads fixtures from inside the fixtures folder', async () => {
+    for (const requestPath of [
+      '/__mock/plaid/../../secret',
+      '/__mock/plaid/accounts/../../../secret',
+      '/__mock/coinflow/../plaid/accounts/get',
+    ]) {
+      const response = await send(port, 'POST', requestPath, {});
+      assert.strictEqual(response.status, 404, requestPath);
+      assert.strictEqual(response.body.error_code, 'MOCK_FIXTURE_NOT_FOUND');
+    }
+  });
+
+  it('returns queued failures like the fake Plaid', async () => {
+    await send(port, 'POST', '/__mock/plaid/__fake/failures', {
+      endpoint: '/accounts/get',
+      status: 500,
+      error_code: 'INTERNAL_SERVER_ERROR',
+    });
+
+    const failed = await send(port, 'POST', '/__mock/plaid/accounts/get', {});
+    const next = await send(port, 'POST', '/__mock/plaid/accounts/get', {});
+
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(failed.body.error_code, 'INTERNAL_SERVER_ERROR');
+    assert.strictEqual(next.status, 200);
+  });
+
+  it('serves its own webhook verification key', async () => {
+    const response = await send(
+      port,
+      'POST',
+      '/__mock/plaid/webhook_verification_key/get',
+      {},
+    );
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.key.alg, 'ES256');
+  });
+});
+
+describe('createRecorder', () => {
+  let root;
+  let fixturesPath;
+  let upstream;
+  let server;
+  let port;
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+    fixturesPath = path.join(root, 'fixtures');
+    upstream = await listen(createFakePlaid());
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const app = createApp();
+    app.use(
+      '/__record',
+      createRecorder({
+        fixturesPath,
+        upstreams: { plaid: upstreamUrl, coinflow: upstreamUrl },
+        logger: silentLogger,
+      }),
+    );
+    server = await listen(app);
+    port = server.address().port;
+  });
+
+  after(() => {
+    close(server);
+    close(upstream);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('saves the scrubbed exchange as the fixture for the request', async () => {
+    const response = await send(port, 'POST', '/__record/plaid/accounts/get', {
+      access_token: 'access-sandbox-8ab976e6-64bc-4b38-98f7-731e7a349970',
+      secret: 'abc',
+    });
+
+    assert.strictEqual(response.status, 200);
+    const fixture = JSON.parse(
+      fs.readFileSync(
+        path.join(fixturesPath, 'plaid', 'accounts', 'get.json'),
+        'utf8',
+      ),
+    );
+    assert.deepStrictEqual(fixture.request, {
+      access_token: 'access-sandbox-00000000-0000-0000-0000-000000000000',
+      secret: '[SCRUBBED]',
+    });
+    assert.strictEqual(fixture.status, 200);
+  });
+
+  it('refuses to write outside the fixtures folder', async () => {
+    const response = await send(
+      port,
+      'POST',
+      '/__record/plaid/../../escaped',
+      {},
+    );
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(fs.existsSync(path.join(root, 'escaped.json')), false);
+  });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+// Runs the resilient client against the fake Plaid server (lib/fakePlaid.js)
+// with failures queued up, and checks what reached the server.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Configuration, PlaidApi } = require('plaid');
+
+const { createFakePlaid } = require('../lib/fakePlaid');
+const { createResilientClient } = require('../lib/plaidClient');
+
+describe('createResilientClient', () => {
+  let server;
+  let baseUrl;
+  let tokenCount = 0;
+  let accessToken;
+
+  const fake = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body != null ? JSON.stringify(body) : undefined,
+    });
+    return response.json();
+  };
+
+  const queueFailure = (failure) => fake('POST', '/__fake/failures', failure);
+
+  // The calls the server received for `token`, and the most that were in
+  // flight at once.
+  const callsFor = async (token) => {
+    const data = await fake('GET', '/__fake/calls');
+    return {
+      count: data.calls.filter((call) => call.access_token === token).length,
+      maxConcurrent: data.max_concurrent[token] || 0,
+    };
+  };
+
+  const createClient = (options) =>
+    createResilientClient(
+      new PlaidApi(new Configuration({ basePath: baseUrl })),
+      { baseDelayMs: 1, maxDelayMs: 5, ...options },
+    );
+
+  before(async () => {
+    await new Promise((resolve) => {
+      server = createFakePlaid().listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(async () => {
+    await fake('DELETE', '/__fake/failures');
+    // Each test uses its own access token, so calls can be told apart.
+    tokenCount += 1;
+    accessToken = `access-test-${tokenCount}`;
+  });
+
+  it('retries a temporary failure until the call succeeds', async () => {
+    await queueFailure({
+      endpoint: '/accounts/get',
+      count: 2,
+      status: 500,
+      error_code: 'INTERNAL_SERVER_ERROR',
+    });
+    const retries = [];
+    const client = createClient({
+      onRetry: (method, error, attempt) => retries.push([method, attempt]),
+    });
+
+    const response = await client.accountsGet({ access_token: accessToken });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(retries, [
+      ['accountsGet', 1],
+      ['accountsGet', 2],
+    ]);
+    assert.strictEqual((await callsFor(accessToken)).count, 3);
+  });
+
+  it('gives up after maxRetries retries', async () => {
+    await queueFailure({
+      endpoint: '/accounts/get',
+      count: 10,
+      status: 503,
+      error_type: 'API_ERROR',
+      error_code: 'PLANNED_MAINTENANCE',
+    });
+    const client = createClient({ maxRetries: 2 });
+
+    await assert.rejects(
+      client.accountsGet({ access_token: accessToken }),
+      (error) => error.response.data.error_code === 'PLANNED_MAINTENANCE',
+    );
+    assert.strictEqual((await callsFor(accessToken)).count, 3);
+  });
+
+  it('does not retry errors that would happen again', async () => {
+    await queueFailure({
+      endpoint: '/accounts/get',
+      count: 5,
+      status: 400,
+      error_type: 'INVALID_INPUT',
+      error_code: 'INVALID_ACCESS_TOKEN',
+    });
+    const retries = [];
+    const client = createClient({ onRetry: () => retries.push(true) });
+
+    await assert.rejects(
+      client.accountsGet({ access_token: accessToken }),
+      (error) => error.response.status === 400,
+    );
+    assert.strictEqual(retries.length, 0);
+    assert.strictEqual((await callsFor(accessToken)).count, 1);
+  });
+
+  it('only retries calls that change data when Plaid did no work', async () => {
+    await queueFailure({
+      endpoint: '/transfer/create',
+      count: 1,
+      status: 500,
+      error_code: 'INTERNAL_SERVER_ERROR',
+    });
+    const client = createClient();
+
+    await assert.rejects(
+      client.transferCreate({ access_token: accessToken }),
+      (error) => error.response.status === 500,
+    );
+    assert.strictEqual((await callsFor(accessToken)).count, 1);
+
+    await queueFailure({
+      endpoint: '/transfer/create',
+      count: 1,
+      status: 429,
+      error_type: 'RATE_LIMIT_EXCEEDED',
+      error_code: 'TRANSFERS_LIMIT',
+    });
+    const response = await client.transferCreate({
+      access_token: accessToken,
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await callsFor(accessToken)).count, 3);
+  });
+
+  it('waits a random delay within the backoff between retries', async () => {
+    await queueFailure({
+      endpoint: '/accounts/get',
+      count: 4,
+      status: 500,
+      error_code: 'INTERNAL_SERVER_ERROR',
+    });
+    const delays = [];
+    const client = createClient({
+      maxRetries: 4,
+      baseDelayMs: 2,
+      maxDelayMs: 10,
+      onRetry: (method, error, attempt, delayMs) => delays.push(delayMs),
+    });
+
+    await client.accountsGet({ access_token: accessToken });
+
+    assert.strictEqual(delays.length, 4);
+    [2, 4, 8, 10].forEach((limit, index) => {
+      assert.ok(
+        delays[index] >= 0 && delays[index] <= limit,
+        `delay ${delays[index]} for retry ${index + 1} is over ${limit}`,
+      );
+    });
+  });
+
+  it('times out slow calls and retries them', async () => {
+    await queueFailure({ endpoint: '/accounts/get', count: 1, delay_ms: 500 });
+    const retries = [];
+    const client = createClient({
+      timeoutMs: 100,
+      onRetry: (method, error) => retries.push(error.code),
+    });
+
+    const response = await client.accountsGet({ access_token: accessToken });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(retries, ['ECONNABORTED']);
+    assert.strictEqual((await callsFor(accessToken)).count, 2);
+  });
+
+  it('uses the per-method timeout over the default', async () => {
+    await queueFailure({ endpoint: '/accounts/get', count: 1, delay_ms: 300 });
+    const retries = [];
+    const client = createClient({
+      timeoutMs: 100,
+      timeouts: { accountsGet: 2000 },
+      onRetry: () => retries.push(true),
+    });
+
+    await client.accountsGet({ access_token: accessToken });
+
+    assert.strictEqual(retries.length, 0);
+  });
+
+  it('limits how many calls run at once for each access token', async () => {
+    await queueFailure({ endpoint: '/accounts/get', count: 6, delay_ms: 50 });
+    const otherToken = `${accessToken}-other`;
+    const client = createClient({ itemConcurrency: 2 });
+
+    await Promise.all([
+      ...Array.from({ length: 5 }, () =>
+        client.accountsGet({ access_token: accessToken }),
+      ),
+      client.accountsGet({ access_token: otherToken }),
+    ]);
+
+    const calls = await callsFor(accessToken);
+    assert.strictEqual(calls.count, 5);
+    assert.strictEqual(calls.maxConcurrent, 2);
+    // Another Item's calls don't wait for these.
+    assert.strictEqual((await callsFor(otherToken)).count, 1);
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+// Checks Plaid-Verification JWTs signed with keys made up for the test, served
+// by a stand-in for /webhook_verification_key/get.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const {
+  WebhookVerificationError,
+  createWebhookVerifier,
+} = require('../lib/webhooks');
+
+const KEY_ID = 'test-key';
+
+const createKeyPair = () =>
+  crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const serverKeys = createKeyPair();
+
+// Answers /webhook_verification_key/get with the public half of serverKeys.
+const keyClient = {
+  webhookVerificationKeyGet: async ({ key_id }) => ({
+    data: {
+      key: {
+        ...serverKeys.publicKey.export({ format: 'jwk' }),
+        kid: key_id,
+        alg: 'ES256',
+        use: 'sig',
+        created_at: 1560466150,
+        expired_at: null,
+      },
+    },
+  }),
+};
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sha256 = (body) => crypto.createHash('sha256').update(body).digest('hex');
+
+// A Plaid-Verification JWT for `body`, signed with `privateKey`. `claims`
+// override the payload.
+const signWebhook = (
+  body,
+  { privateKey = serverKeys.privateKey, ...claims },
+) => {
+  const header = encode({ alg: 'ES256', kid: KEY_ID, typ: 'JWT' });
+  const payload = encode({
+    iat: Math.floor(Date.now() / 1000),
+    request_body_sha256: sha256(body),
+    ...claims,
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+};
+
+const BODY = Buffer.from(
+  JSON.stringify({
+    webhook_type: 'TRANSACTIONS',
+    webhook_code: 'SYNC_UPDATES_AVAILABLE',
+    item_id: 'item-1',
+  }),
+);
+
+const rejectsWith = (promise, message) =>
+  assert.rejects(
+    promise,
+    (error) =>
+      error instanceof WebhookVerificationError && error.message === message,
+  );
+
+describe('createWebhookVerifier', () => {
+  it('accepts a webhook signed with the current key', async () => {
+    const verify = createWebhookVerifier(keyClient);
+
+    await verify(signWebhook(BODY, {}), BODY);
+  });
+
+  it('rejects a webhook signed with another key', async () => {
+    const verify = createWebhookVerifier(keyClient);
+    const token = signWebhook(BODY, { privateKey: createKeyPair().privateKey });
+
+    await rejectsWith(verify(token, BODY), 'Invalid webhook signature');
+  });
+
+  it('rejects a webhook signed too long ago', async () => {
+    const verify = createWebhookVerifier(keyClient);
+    const token = signWebhook(BODY, {
+      iat: Math.floor(Date.now() / 1000) - 10 * 60,
+    });
+
+    await rejectsWith(verify(token, BODY), 'Webhook is too old');
+  });
+
+  it('rejects a webhook without a numeric iat', async () => {
+    const verify = createWebhookVerifier(keyClient);
+    const token = signWebhook(BODY, { iat: 'now' });
+
+    await rejectsWith(verify(token, BODY), 'Webhook JWT has no valid iat');
+  });
+
+  it('rejects a body that is not the one that was signed', async () => {
+    const verify = createWebhookVerifier(keyClient);
+    const token = signWebhook(BODY, {});
+    const tampered = Buffer.from(BODY.toString().replace('item-1', 'item-2'));
+
+    await rejectsWith(
+      verify(token, tampered),
+      'Webhook body hash does not match',
+    );
+  });
+
+  it('rejects a missing or malformed header', async () => {
+    const verify = createWebhookVerifier(keyClient);
+
+    await rejectsWith(
+      verify(undefined, BODY),
+      'Missing Plaid-Verification header',
+    );
+    await rejectsWith(
+      verify('abc.def', BODY),
+      'Malformed Plaid-Verification JWT',
+    );
+  });
+
+  it('rejects tokens signed with an algorithm other than ES256', async () => {
+    const verify = createWebhookVerifier(keyClient);
+    const [, payload, signature] = signWebhook(BODY, {}).split('.');
+    const header = encode({ alg: 'none', kid: KEY_ID });
+
+    await rejectsWith(
+      verify(`${header}.${payload}.${signature}`, BODY),
+      'Unexpected JWT alg none',
+    );
+  });
+});